@@ -0,0 +1,172 @@
+// Challenge mode: ordered levels, each with a fixed graph set, a constraint on the programs and a goal
+// Pure functions only, like engine.js; progress is stored by the UI
+
+// Under Node the engine is loaded as a module; in the browser its functions are already globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { normalizeProgram, createRandomGraph, createRhoGraph, runSimulation } = require('./engine.js');
+}
+
+// The levels, easiest first; a level unlocks once the one before it is solved
+// graphs: rho shapes { tailLength, cycleLength } (cycleLength 0 for no loop) or generated graphs { seed }
+// constraints: maxAgents, maxProgramLength, instructions (the only characters programs may use)
+// goal: maxTicks (every graph must get a correct verdict within this many ticks)
+// mode: execution mode the level is played in (see EXECUTION_MODES; the default mode when missing)
+const CHALLENGE_LEVELS = [
+    {
+        id: 'walk',
+        title: 'Walk to the End',
+        description: 'None of these graphs has a loop. Get the agent to the end of every one.',
+        graphs: [
+            { tailLength: 2, cycleLength: 0 },
+            { tailLength: 5, cycleLength: 0 },
+            { tailLength: 9, cycleLength: 0 }
+        ],
+        constraints: { maxAgents: 1, maxProgramLength: 2, instructions: 'SN' },
+        goal: { maxTicks: 20 }
+    },
+    {
+        id: 'trust',
+        title: 'Trust Your Instinct',
+        description: 'Every one of these graphs has a loop. Report it.',
+        graphs: [
+            { tailLength: 0, cycleLength: 3 },
+            { tailLength: 2, cycleLength: 4 },
+            { tailLength: 5, cycleLength: 6 },
+            { tailLength: 1, cycleLength: 1 }
+        ],
+        constraints: { maxAgents: 1, maxProgramLength: 2, instructions: 'SNL' },
+        goal: { maxTicks: 20 }
+    },
+    {
+        id: 'meet',
+        title: 'Meet Up',
+        description: 'Some graphs loop, some do not. Two agents can only tell them apart by meeting.',
+        graphs: [
+            { tailLength: 3, cycleLength: 0 },
+            { tailLength: 2, cycleLength: 3 },
+            { tailLength: 0, cycleLength: 5 },
+            { tailLength: 6, cycleLength: 0 },
+            { tailLength: 4, cycleLength: 4 },
+            { seed: 99 },
+            { seed: 42 }
+        ],
+        constraints: { maxAgents: 2, maxProgramLength: 4, instructions: 'SNCL' },
+        goal: { maxTicks: 200 }
+    },
+    {
+        id: 'race',
+        title: 'Race the Clock',
+        description: 'Bigger graphs and a tight tick budget: every tick counts.',
+        graphs: [
+            { tailLength: 8, cycleLength: 7 },
+            { tailLength: 12, cycleLength: 0 },
+            { tailLength: 2, cycleLength: 20 },
+            { seed: 7 },
+            { seed: 42 }
+        ],
+        constraints: { maxAgents: 2, maxProgramLength: 4, instructions: 'SNCL' },
+        goal: { maxTicks: 23 }
+    },
+    {
+        id: 'persist',
+        title: 'Keep Your Place',
+        description: 'Programs keep their program counter between ticks. Use J to go round again.',
+        mode: 'persistent',
+        graphs: [
+            { tailLength: 3, cycleLength: 0 },
+            { tailLength: 2, cycleLength: 3 },
+            { tailLength: 1, cycleLength: 10 },
+            { tailLength: 12, cycleLength: 0 },
+            { seed: 7 },
+            { seed: 99 }
+        ],
+        constraints: { maxAgents: 2, maxProgramLength: 4, instructions: 'SCLJ' },
+        goal: { maxTicks: 100 }
+    },
+    {
+        id: 'final',
+        title: 'Final Exam',
+        description: 'All instructions, up to three agents, and a graph set with every kind of shape.',
+        graphs: [
+            { tailLength: 0, cycleLength: 0 },
+            { tailLength: 0, cycleLength: 1 },
+            { tailLength: 1, cycleLength: 2 },
+            { tailLength: 20, cycleLength: 0 },
+            { tailLength: 3, cycleLength: 17 },
+            { seed: 7 },
+            { seed: 1234 },
+            { seed: 2024 }
+        ],
+        constraints: { maxAgents: 3, maxProgramLength: 10, instructions: 'SNCLJ' },
+        goal: { maxTicks: 60 }
+    }
+];
+
+// Find a level by id
+function findChallengeLevel(levelId) {
+    return CHALLENGE_LEVELS.find(level => level.id === levelId) || null;
+}
+
+// Build the graph set of a level
+// Generated graphs use the default generator settings, so a seed means the same graph for everyone
+function createLevelGraphs(level) {
+    return level.graphs.map(spec => (spec.seed !== undefined
+        ? createRandomGraph(spec.seed)
+        : createRhoGraph(spec.tailLength, spec.cycleLength)));
+}
+
+// Describe a level's constraints and goal in one line
+function describeLevelRules(level) {
+    const { maxAgents, maxProgramLength, instructions } = level.constraints;
+    const agents = maxAgents === 1 ? '1 agent' : `up to ${maxAgents} agents`;
+    return `${agents} · programs up to ${maxProgramLength} long · only ${instructions.split('').join(' ')} · ` +
+        `all ${level.graphs.length} graphs correct within ${level.goal.maxTicks} ticks`;
+}
+
+// Check programs against a level's constraints
+// Returns a list of human-readable violations (empty when the programs are allowed)
+function checkLevelConstraints(level, programs) {
+    const { maxAgents, maxProgramLength, instructions } = level.constraints;
+    const violations = [];
+    if (programs.length > maxAgents) {
+        violations.push(`Use at most ${maxAgents} agent(s)`);
+    }
+    programs.forEach((program, index) => {
+        const normalized = normalizeProgram(program);
+        if (normalized.length > maxProgramLength) {
+            violations.push(`Agent ${index + 1}'s program is longer than ${maxProgramLength}`);
+        }
+        const forbidden = Array.from(new Set(normalized.split('').filter(instruction => !instructions.includes(instruction))));
+        if (forbidden.length > 0) {
+            violations.push(`Agent ${index + 1} uses ${forbidden.join(', ')}, which this level does not allow`);
+        }
+    });
+    return violations;
+}
+
+// Run programs on every graph of a level, with every agent starting on node 0
+// Returns { passed, violations, results } where results holds { graph, verdict, ticks } per graph;
+// programs that break the constraints are not run
+function judgeLevel(level, programs) {
+    const violations = checkLevelConstraints(level, programs);
+    if (violations.length > 0) {
+        return { passed: false, violations, results: [] };
+    }
+
+    const results = createLevelGraphs(level).map(graph => {
+        const run = runSimulation(graph, programs, { maxTicks: level.goal.maxTicks, mode: level.mode });
+        return { graph, verdict: run.verdict, ticks: run.ticks };
+    });
+    return { passed: results.every(result => result.verdict.correct), violations, results };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CHALLENGE_LEVELS,
+        findChallengeLevel,
+        createLevelGraphs,
+        describeLevelRules,
+        checkLevelConstraints,
+        judgeLevel
+    };
+}
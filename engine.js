@@ -0,0 +1,1009 @@
+// Headless simulation engine
+// Pure functions only: no document, svg or d3 access, so the same rules can run
+// in the browser (script.js) and under Node for grading and testing.
+
+// Default tick budget for headless runs before a run counts as never terminating
+const DEFAULT_MAX_TICKS = 200;
+
+// Largest graph the random generator produces
+const MAX_GENERATED_NODES = 33;
+
+// Characters an agent program may contain
+const VALID_INSTRUCTIONS = 'SNCLJ';
+
+// Execution modes: how programs run across ticks
+// restart: every tick runs the whole program from its first character
+// persistent: every agent keeps a program counter, and a tick runs one instruction from where it stopped
+const EXECUTION_MODES = {
+    restart: 'Restart every tick',
+    persistent: 'Persistent program counter'
+};
+const DEFAULT_EXECUTION_MODE = 'restart';
+
+// Create a seeded pseudo-random number generator (mulberry32)
+// Returns a Math.random-compatible function; random.getState() gives the state to resume from
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.getState = () => state;
+    return random;
+}
+
+// Pick a fresh seed for a new graph (the only unseeded randomness in the engine)
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Turn user-entered text into a seed: decimal numbers are used as-is, other text is hashed (FNV-1a)
+// Returns null for empty input
+function parseSeed(text) {
+    const trimmed = String(text).trim();
+    if (trimmed.length === 0) return null;
+    if (/^\d+$/.test(trimmed)) {
+        return Number(BigInt(trimmed) % 4294967296n);
+    }
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < trimmed.length; i++) {
+        hash ^= trimmed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Resolve a link endpoint to a node id (d3.forceLink replaces ids with node objects)
+function linkEndpointId(endpoint) {
+    return typeof endpoint === 'object' ? endpoint.id : endpoint;
+}
+
+// Build a map from node id to the ids of its outgoing edge targets
+function buildSuccessorMap(graph) {
+    const successors = new Map();
+    graph.nodes.forEach(node => {
+        successors.set(node.id, []);
+    });
+    graph.links.forEach(link => {
+        const sourceId = linkEndpointId(link.source);
+        if (!successors.has(sourceId)) {
+            successors.set(sourceId, []);
+        }
+        successors.get(sourceId).push(linkEndpointId(link.target));
+    });
+    return successors;
+}
+
+// Find the cycles reachable from the start nodes (a node id or a list of them, node 0 by default)
+// by walking the graph (depth-first, in edge order, from each start node in turn)
+// Node ids and any annotations on the graph are ignored; only the edges matter
+// Returns { hasLoop, loopEdges, cycleNodes, tailNodes, reachableNodes }:
+// loopEdges close a cycle, cycleNodes lie on one, tailNodes are reachable but on no cycle
+function analyzeGraph(graph, startNodes = 0) {
+    const outgoing = new Map();
+    graph.nodes.forEach(node => {
+        outgoing.set(node.id, []);
+    });
+    graph.links.forEach(link => {
+        const sourceId = linkEndpointId(link.source);
+        if (outgoing.has(sourceId)) {
+            outgoing.get(sourceId).push(link);
+        }
+    });
+
+    const loopEdges = [];
+    const cycleNodeSet = new Set();
+    const reachableNodes = [];
+    // Nodes on the current walk are 'active', fully explored ones 'done'
+    const status = new Map();
+
+    [].concat(startNodes).forEach(startNode => {
+        if (!outgoing.has(startNode) || status.has(startNode)) return;
+        status.set(startNode, 'active');
+        reachableNodes.push(startNode);
+        const stack = [{ nodeId: startNode, edgeIndex: 0 }];
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const links = outgoing.get(frame.nodeId);
+            if (frame.edgeIndex >= links.length) {
+                status.set(frame.nodeId, 'done');
+                stack.pop();
+                continue;
+            }
+
+            const link = links[frame.edgeIndex++];
+            const targetId = linkEndpointId(link.target);
+            if (!outgoing.has(targetId)) continue; // Edge to a missing node
+
+            if (status.get(targetId) === 'active') {
+                // Back to a node on the current walk: everything from there on is a cycle
+                loopEdges.push(link);
+                const entry = stack.findIndex(f => f.nodeId === targetId);
+                stack.slice(entry).forEach(f => cycleNodeSet.add(f.nodeId));
+            } else if (!status.has(targetId)) {
+                status.set(targetId, 'active');
+                reachableNodes.push(targetId);
+                stack.push({ nodeId: targetId, edgeIndex: 0 });
+            }
+        }
+    });
+
+    return {
+        hasLoop: loopEdges.length > 0,
+        loopEdges,
+        cycleNodes: reachableNodes.filter(id => cycleNodeSet.has(id)),
+        tailNodes: reachableNodes.filter(id => !cycleNodeSet.has(id)),
+        reachableNodes
+    };
+}
+
+// Classify edges as loop edges (closing a cycle reachable from the start nodes, see analyzeGraph) or forward edges
+// Stores isForward/isBackward on each link and hasLoop/loopEdge/cycleNodes/tailNodes on the graph
+function classifyGraphEdges(graph, startNodes = 0) {
+    const analysis = analyzeGraph(graph, startNodes);
+    graph.links.forEach(link => {
+        link.isBackward = analysis.loopEdges.includes(link);
+        link.isForward = !link.isBackward;
+    });
+
+    graph.hasLoop = analysis.hasLoop;
+    graph.loopEdge = analysis.loopEdges.length > 0 ? analysis.loopEdges[0] : null;
+    graph.cycleNodes = analysis.cycleNodes;
+    graph.tailNodes = analysis.tailNodes;
+    return { hasLoop: graph.hasLoop, loopEdge: graph.loopEdge };
+}
+
+// Measure the graph's shape as seen from the start nodes (node 0 by default, see analyzeGraph)
+// tailLength: edges walked before entering the cycle (or reaching a terminating node)
+// cycleLength: number of nodes on the cycle, or null if there is none
+function describeGraphShape(graph, startNodes = 0) {
+    const analysis = analyzeGraph(graph, startNodes);
+    if (analysis.hasLoop) {
+        return { tailLength: analysis.tailNodes.length, cycleLength: analysis.cycleNodes.length };
+    }
+    return { tailLength: Math.max(0, analysis.reachableNodes.length - 1), cycleLength: null };
+}
+
+// Normalise a program string: uppercase, trimmed, only valid instruction characters
+function normalizeProgram(program) {
+    if (!program) return '';
+    return program.toUpperCase().replace(new RegExp(`[^${VALID_INSTRUCTIONS}]`, 'g'), '');
+}
+
+// Create the initial simulation state with every agent on its start node (node 0 unless given)
+// Edge choices are drawn from an RNG seeded with the graph's seed (0 if it has none)
+// options: mode (one of EXECUTION_MODES, kept in the state for every later tick),
+// startNodes (start node id per agent; missing or unknown ids fall back to node 0)
+function createSimulationState(graph, numAgents, options = {}) {
+    const nodeIds = new Set(graph.nodes.map(node => node.id));
+    const startNodes = [];
+    const agents = [];
+    for (let i = 0; i < numAgents; i++) {
+        const startNode = options.startNodes && nodeIds.has(options.startNodes[i]) ? options.startNodes[i] : 0;
+        startNodes.push(startNode);
+        agents.push({
+            id: i,
+            currentNode: startNode,
+            path: [startNode], // Every node entered, starting with the start node (see getAgentPath)
+            pathLength: 1,
+            pc: 0, // Program counter carried between ticks (always 0 in restart mode)
+            finished: false
+        });
+    }
+    const mode = EXECUTION_MODES[options.mode] ? options.mode : DEFAULT_EXECUTION_MODE;
+    const state = { tick: 0, agents, verdict: null, rngState: (graph.seed || 0) >>> 0, mode, startNodes };
+    state.stateHistory = createStateHistory(state);
+    return state;
+}
+
+// Get the nodes an agent has entered, oldest first: all of them, or only the last limit
+// An agent's path array is shared by every state of its run and only ever appended to,
+// so a state sees just its first pathLength entries
+function getAgentPath(agent, limit = agent.pathLength) {
+    return agent.path.slice(Math.max(0, agent.pathLength - limit), agent.pathLength);
+}
+
+// Get a path array the next tick may append to: the agent's own while nothing follows its prefix,
+// otherwise a copy of the prefix, so later states of the run (e.g. before stepping back) keep theirs
+function branchAgentPath(agent) {
+    return agent.path.length === agent.pathLength ? agent.path : agent.path.slice(0, agent.pathLength);
+}
+
+// Start the record of the global states a run has been in
+// One history is shared by every state of the run, so simulating a tick only appends to it
+// firstTicks: global state key -> first tick it occurred; keys: the key of every tick so far, in order
+function createStateHistory(state) {
+    const key = globalStateKey(state);
+    return { firstTicks: new Map([[key, 0]]), keys: [key] };
+}
+
+// Get a history the tick after the given one may append to, like branchAgentPath: the shared one while
+// it ends at that tick, otherwise a new one with just the ticks up to it
+function branchStateHistory(history, tick) {
+    if (history.keys.length === tick + 1) return history;
+    const keys = history.keys.slice(0, tick + 1);
+    const firstTicks = new Map();
+    keys.forEach((key, keyTick) => {
+        if (!firstTicks.has(key)) {
+            firstTicks.set(key, keyTick);
+        }
+    });
+    return { firstTicks, keys };
+}
+
+// Key identifying the global state between ticks: every agent's position and program counter
+function globalStateKey(state) {
+    return state.agents.map(agent => `${agent.currentNode}@${agent.pc}`).join(',');
+}
+
+// Check whether every node has at most one outgoing edge, which makes runs deterministic
+function isDeterministicGraph(successors) {
+    for (const targets of successors.values()) {
+        if (targets.length > 1) return false;
+    }
+    return true;
+}
+
+// Check if there is another (unfinished) agent at the given node
+function hasOtherAgentAtNode(agents, nodeId, currentAgentId) {
+    return agents.some(agent =>
+        agent.id !== currentAgentId &&
+        agent.currentNode === nodeId &&
+        !agent.finished
+    );
+}
+
+// Pick the next node along an outgoing edge, or null if there is none
+function chooseSuccessor(successors, nodeId, random) {
+    const targets = successors.get(nodeId) || [];
+    if (targets.length === 0) return null;
+    return targets[Math.floor(random() * targets.length)];
+}
+
+// Move a runner that stands on J: back to the first instruction with a persistent program counter,
+// or to the end of the program in restart mode (where the next tick starts over anyway)
+// A J at the very start of a persistent program would jump to itself, so it is left to run as a no-op
+function followJump(runner, persistent) {
+    if (runner.instructions[runner.position] !== 'J') return;
+    if (!persistent) {
+        runner.position = runner.instructions.length;
+    } else if (runner.position > 0) {
+        runner.position = 0;
+    }
+}
+
+// Check whether an L in the remaining instructions can still be reached
+// C followed by L only counts when its condition holds at the given node
+// With a persistent program counter, J continues the search from the first instruction
+function canReachLoopInstruction(runner, agents, nodeId, persistent) {
+    const instructions = runner.instructions;
+    let searchPos = runner.position;
+    const visited = new Set();
+    while (searchPos < instructions.length && !visited.has(searchPos)) {
+        visited.add(searchPos);
+        const char = instructions[searchPos];
+        if (char === 'L') {
+            return true;
+        } else if (char === 'J') {
+            if (!persistent) return false;
+            searchPos = searchPos > 0 ? 0 : 1;
+        } else if (char === 'C') {
+            if (searchPos + 1 >= instructions.length) {
+                // C at end, skip it
+                searchPos += 1;
+                continue;
+            }
+            if (instructions[searchPos + 1] === 'L' &&
+                hasOtherAgentAtNode(agents, nodeId, runner.agent.id)) {
+                return true;
+            }
+            if (instructions[searchPos + 1] === 'J' && persistent &&
+                hasOtherAgentAtNode(agents, nodeId, runner.agent.id)) {
+                searchPos = 0;
+                continue;
+            }
+            // Condition false or C followed by something else, skip both
+            searchPos += 2;
+        } else {
+            searchPos += 1;
+        }
+    }
+    return false;
+}
+
+// Record the nodes where agents meet after a round: any node shared by two or more agents
+// where at least one of them has just arrived
+function recordMeetings(runners, movedIndices, tickState) {
+    const nodeToIndices = new Map();
+    runners.forEach((runner, index) => {
+        const nodeId = runner.agent.currentNode;
+        if (!nodeToIndices.has(nodeId)) {
+            nodeToIndices.set(nodeId, []);
+        }
+        nodeToIndices.get(nodeId).push(index);
+    });
+
+    for (const [nodeId, indices] of nodeToIndices.entries()) {
+        if (indices.length > 1 && indices.some(index => movedIndices.has(index))) {
+            tickState.events.meetings.push({
+                round: tickState.round,
+                nodeId,
+                agentIds: indices.map(index => runners[index].agent.id)
+            });
+        }
+    }
+}
+
+// Snapshot the runners after a phase of a round, for stepping through a tick phase by phase
+// Only recorded when tickState.phases exists (see the recordPhases option of simulateTick)
+function recordPhase(tickState, runners, phase, details) {
+    if (!tickState.phases) return;
+    tickState.phases.push({
+        round: tickState.round,
+        phase,
+        agents: runners.map(runner => ({
+            position: runner.position,
+            nodeId: runner.agent.currentNode,
+            finished: runner.agent.finished
+        })),
+        ...details
+    });
+}
+
+// Run one round: every agent evaluates the instruction at its current position
+// Condition results and meetings are recorded in tickState.events
+// Returns { loopTriggered, hasMoreInstructions }
+function runRound(runners, agents, successors, tickState, random, persistent) {
+    let hasMoreInstructions = false;
+    const positionUpdates = new Map();
+    const routes = new Map(); // Nodes passed through by each agent that stepped, starting where it was
+    const instructionResults = [];
+    const conditionalResults = new Map();
+
+    // PHASE 1: Evaluate all conditional instructions (C) FIRST, before any movements
+    runners.forEach((runner, index) => {
+        const agent = runner.agent;
+
+        if ((successors.get(runner.currentNode) || []).length === 0) {
+            agent.finished = true;
+            return;
+        }
+
+        agent.finished = false;
+        tickState.allAgentsFinished = false;
+
+        if (runner.movedThisTick) return;
+        followJump(runner, persistent);
+        if (runner.position >= runner.instructions.length) return;
+
+        if (runner.instructions[runner.position] === 'C') {
+            hasMoreInstructions = true;
+
+            if (runner.position + 1 >= runner.instructions.length) {
+                // C at end - invalid, skip it
+                conditionalResults.set(index, { shouldExecute: false, instruction: null, skipChars: 1 });
+                return;
+            }
+
+            // Check condition BEFORE any agents move (use current positions)
+            const hasOtherAgent = hasOtherAgentAtNode(agents, runner.currentNode, agent.id);
+            tickState.events.conditions.push({
+                round: tickState.round,
+                agentId: agent.id,
+                position: runner.position,
+                nodeId: runner.currentNode,
+                fired: hasOtherAgent
+            });
+            conditionalResults.set(index, {
+                shouldExecute: hasOtherAgent,
+                instruction: hasOtherAgent ? runner.instructions[runner.position + 1] : null,
+                skipChars: 2 // Skip both C and next char
+            });
+        }
+    });
+
+    recordPhase(tickState, runners, 1, {
+        conditions: tickState.events.conditions.filter(condition => condition.round === tickState.round)
+    });
+
+    // PHASE 2: Decide what every unfinished agent does this round
+    runners.forEach((runner, index) => {
+        if (runner.agent.finished || runner.movedThisTick || runner.position >= runner.instructions.length) {
+            instructionResults.push({ index, shouldExecute: false });
+            return;
+        }
+
+        hasMoreInstructions = true;
+        const currentChar = runner.instructions[runner.position];
+
+        if (conditionalResults.has(index)) {
+            instructionResults.push({ index, ...conditionalResults.get(index) });
+        } else if (currentChar === 'L') {
+            instructionResults.push({ index, shouldExecute: true, instruction: 'L', skipChars: 1, isLoopCheck: true });
+        } else if (currentChar === 'S') {
+            // Count consecutive S characters for atomic execution
+            let stepCount = 0;
+            while (runner.position + stepCount < runner.instructions.length &&
+                   runner.instructions[runner.position + stepCount] === 'S') {
+                stepCount++;
+            }
+            instructionResults.push({ index, shouldExecute: true, instruction: 'S', stepCount, skipChars: stepCount });
+        } else if (currentChar === 'N' || currentChar === 'J') {
+            // Only a J that could not jump (at the start of a persistent program) gets here
+            instructionResults.push({ index, shouldExecute: true, instruction: 'N', skipChars: 1 });
+        } else {
+            // Unknown instruction - skip it
+            instructionResults.push({ index, shouldExecute: false, skipChars: 1 });
+        }
+    });
+
+    recordPhase(tickState, runners, 2, {
+        decisions: instructionResults.map(result => ({
+            agentId: runners[result.index].agent.id,
+            position: runners[result.index].position,
+            length: result.skipChars || 0,
+            instruction: result.shouldExecute ? result.instruction : null,
+            loopCheck: Boolean(result.isLoopCheck)
+        }))
+    });
+
+    // PHASE 3: Execute all instructions simultaneously
+    let loopTriggered = false;
+    instructionResults.forEach(result => {
+        const runner = runners[result.index];
+        if (result.skipChars) {
+            runner.position += result.skipChars;
+        }
+        if (!result.shouldExecute) return;
+
+        if (result.isLoopCheck) {
+            loopTriggered = true;
+            return;
+        }
+
+        if (result.instruction === 'J') {
+            // A conditional jump that fired
+            runner.position = persistent ? 0 : runner.instructions.length;
+            return;
+        }
+
+        if (result.instruction === 'S') {
+            // Multiple consecutive S's are executed atomically
+            const stepCount = result.stepCount || 1;
+            let currentPos = runner.currentNode;
+            const route = [currentPos];
+            for (let i = 0; i < stepCount; i++) {
+                const next = chooseSuccessor(successors, currentPos, random);
+                if (next === null) break; // Can't move further
+                currentPos = next;
+                route.push(currentPos);
+            }
+            if (route.length > 1) {
+                routes.set(result.index, route);
+            }
+            if (currentPos !== runner.currentNode) {
+                positionUpdates.set(result.index, currentPos);
+                runner.currentNode = currentPos;
+            }
+            // With a persistent program counter an agent's tick ends with its first step
+            runner.movedThisTick = persistent;
+        }
+        // N (and a conditionally executed L) does nothing
+    });
+
+    // An executed L ends the tick before positions are committed
+    if (loopTriggered) {
+        recordPhase(tickState, runners, 3, { moves: [], meetings: [], loop: 'instruction' });
+        return { loopTriggered: true, hasMoreInstructions };
+    }
+
+    positionUpdates.forEach((newPosition, index) => {
+        runners[index].agent.currentNode = newPosition;
+    });
+    // The path records every node entered, including those passed through by atomic S's and self-loops
+    routes.forEach((route, index) => {
+        const agent = runners[index].agent;
+        agent.path.push(...route.slice(1));
+        tickState.events.moves.push({ round: tickState.round, agentId: agent.id, route });
+    });
+
+    recordMeetings(runners, new Set(positionUpdates.keys()), tickState);
+    const phaseDetails = {
+        moves: tickState.events.moves.filter(move => move.round === tickState.round),
+        meetings: tickState.events.meetings.filter(meeting => meeting.round === tickState.round),
+        loop: null
+    };
+
+    // Agents that overlap trigger L if any of them can still reach one
+    const nodeToRunners = new Map();
+    runners.forEach(runner => {
+        if (runner.agent.finished) return;
+        const nodeId = runner.agent.currentNode;
+        if (!nodeToRunners.has(nodeId)) {
+            nodeToRunners.set(nodeId, []);
+        }
+        nodeToRunners.get(nodeId).push(runner);
+    });
+
+    for (const [nodeId, nodeRunners] of nodeToRunners.entries()) {
+        if (nodeRunners.length > 1 &&
+            nodeRunners.some(runner => canReachLoopInstruction(runner, agents, nodeId, persistent))) {
+            recordPhase(tickState, runners, 3, { ...phaseDetails, loop: 'overlap' });
+            return { loopTriggered: true, hasMoreInstructions };
+        }
+    }
+
+    recordPhase(tickState, runners, 3, phaseDetails);
+    return { loopTriggered: false, hasMoreInstructions };
+}
+
+// Build the verdict reported when a run ends
+// kind: 'loop' when an agent executed L, 'finished' when all agents reached terminating nodes,
+// 'undecided' when the run can never reach a verdict (reason 'repeated') or ran out of ticks (reason 'budget')
+// The graph counts as having a loop when one is reachable from any agent's start node
+function createVerdict(graph, kind, details = {}, startNodes = [0]) {
+    const hasLoop = analyzeGraph(graph, startNodes).hasLoop;
+    let correct = false;
+    if (kind === 'loop') {
+        correct = hasLoop;
+    } else if (kind === 'finished') {
+        correct = !hasLoop;
+    }
+    return { kind, hasLoop, correct, ...details };
+}
+
+// Advance the simulation by one tick
+// Every agent's program is evaluated character by character, simultaneously across agents
+// In restart mode a tick runs every program from the start; in persistent mode every agent continues
+// from its program counter until it has executed one S (or run of S's), so N, C and J lead up to a step
+// An agent whose persistent program has run out stays idle
+// options: maxTicks (tick budget; the run is undecided once it is used up without a verdict),
+// recordPhases (also return events.phases for stepping through the tick in a debugger)
+// Returns { state, verdict, events } without changing the given state or any other state of its run:
+// the shared path arrays and state history are only appended to when the given state is the latest,
+// and copied otherwise
+// events: conditions (every C evaluated and whether it fired), meetings (agents arriving at a shared node),
+// moves (every node an agent passed through in a round, hop by hop, including self-loops)
+// and programPositions (how far each agent got through its program this tick)
+// phases: after each phase of each round, { round, phase (1 conditions, 2 decisions, 3 execution), agents },
+// where agents holds every agent's program position, node and finished flag; phase 1 adds the round's
+// conditions, phase 2 the decisions ({ agentId, position, length, instruction, loopCheck } with instruction
+// null when nothing runs and loopCheck set for an L about to end the tick) and phase 3 the round's moves,
+// meetings and loop (what ended the tick: 'instruction', 'overlap' or null)
+function simulateTick(graph, state, programs, options = {}) {
+    const agents = state.agents.map(agent => ({ ...agent, path: branchAgentPath(agent) }));
+    const successors = buildSuccessorMap(graph);
+    const random = createRandom(state.rngState);
+    const persistent = state.mode === 'persistent';
+    const runners = agents.map((agent, index) => ({
+        agent,
+        instructions: normalizeProgram(programs[index]),
+        position: persistent ? agent.pc : 0, // Current position in instruction string
+        currentNode: agent.currentNode,
+        movedThisTick: false
+    }));
+
+    const tickState = {
+        allAgentsFinished: true,
+        round: 0,
+        events: { conditions: [], meetings: [], moves: [], programPositions: [] },
+        phases: options.recordPhases ? [] : null
+    };
+    let verdict = null;
+
+    // Every round consumes at least one character of each active program,
+    // so the longest program bounds the rounds needed to finish the tick
+    // (a persistent program that jumps back without stepping is cut off at the same bound)
+    const maxRounds = Math.max(0, ...runners.map(runner => runner.instructions.length)) + 1;
+    for (let round = 0; round < maxRounds; round++) {
+        tickState.round = round;
+        const result = runRound(runners, agents, successors, tickState, random, persistent);
+        if (result.loopTriggered) {
+            verdict = createVerdict(graph, 'loop', {}, state.startNodes);
+            break;
+        }
+        if (!result.hasMoreInstructions) break;
+    }
+
+    if (!verdict && tickState.allAgentsFinished) {
+        verdict = createVerdict(graph, 'finished', {}, state.startNodes);
+    }
+    tickState.events.programPositions = runners.map(runner => runner.position);
+    agents.forEach(agent => {
+        agent.pathLength = agent.path.length;
+    });
+    if (persistent) {
+        // A trailing J is followed right away so the saved counter is never parked on it
+        runners.forEach(runner => {
+            followJump(runner, true);
+            runner.agent.pc = runner.position;
+        });
+    }
+
+    const nextState = {
+        tick: state.tick + 1,
+        agents,
+        verdict,
+        rngState: random.getState(),
+        mode: state.mode,
+        startNodes: state.startNodes
+    };
+    const history = branchStateHistory(state.stateHistory, state.tick);
+    nextState.stateHistory = history;
+    const key = globalStateKey(nextState);
+
+    if (!verdict) {
+        // On a deterministic graph a repeated global state means the run cycles forever
+        if (history.firstTicks.has(key) && isDeterministicGraph(successors)) {
+            verdict = createVerdict(graph, 'undecided', { reason: 'repeated', repeatedTick: history.firstTicks.get(key) }, state.startNodes);
+        } else if (options.maxTicks && nextState.tick >= options.maxTicks) {
+            verdict = createVerdict(graph, 'undecided', { reason: 'budget', maxTicks: options.maxTicks }, state.startNodes);
+        }
+        nextState.verdict = verdict;
+    }
+    history.keys.push(key);
+    if (!history.firstTicks.has(key)) {
+        history.firstTicks.set(key, nextState.tick);
+    }
+
+    if (tickState.phases) {
+        tickState.events.phases = tickState.phases;
+    }
+    return { state: nextState, verdict, events: tickState.events };
+}
+
+// Run a whole simulation headlessly until a verdict (undecided once the tick budget runs out)
+// options: maxTicks, mode, startNodes, recordTrace (also return every tick as { state, events }, starting with tick 0)
+// Returns { state, verdict, ticks, trace }
+function runSimulation(graph, programs, options = {}) {
+    const maxTicks = options.maxTicks || DEFAULT_MAX_TICKS;
+    let state = createSimulationState(graph, programs.length, { mode: options.mode, startNodes: options.startNodes });
+    const trace = options.recordTrace ? [{ state, events: null }] : null;
+    while (!state.verdict) {
+        const result = simulateTick(graph, state, programs, { maxTicks });
+        state = result.state;
+        if (trace) {
+            trace.push({ state, events: result.events });
+        }
+    }
+    return { state, verdict: state.verdict, ticks: state.tick, trace };
+}
+
+// Find the first tick in a trace where agents met, or -1 if they never did
+function findFirstMeetingTick(trace) {
+    return trace.findIndex(entry => entry.events !== null && entry.events.meetings.length > 0);
+}
+
+// Count how often each agent has entered each node (its start node counts as one visit)
+// Returns a Map from node id to an array of visit counts indexed by agent id
+function countNodeVisits(state) {
+    const visits = new Map();
+    state.agents.forEach(agent => {
+        getAgentPath(agent).forEach(nodeId => {
+            if (!visits.has(nodeId)) {
+                visits.set(nodeId, state.agents.map(() => 0));
+            }
+            visits.get(nodeId)[agent.id]++;
+        });
+    });
+    return visits;
+}
+
+// Summarise a run up to a tick of its trace (as recorded by runSimulation or the UI)
+// Returns { tick, meetings, firstMeetingTick (-1 if none yet), nodesVisited, agents } where agents lists
+// steps taken, distinct nodes visited and instruction pointer per agent. The instruction pointer is the
+// program counter in persistent mode and how far the last tick got through the program otherwise
+function summarizeRun(trace, index = trace.length - 1) {
+    const entries = trace.slice(0, index + 1);
+    const { state, events } = entries[entries.length - 1];
+    const meetings = entries.reduce((total, entry) => total + (entry.events ? entry.events.meetings.length : 0), 0);
+    const allVisited = new Set();
+    const agents = state.agents.map(agent => {
+        const path = getAgentPath(agent);
+        path.forEach(nodeId => allVisited.add(nodeId));
+        return {
+            id: agent.id,
+            steps: path.length - 1,
+            nodesVisited: new Set(path).size,
+            instructionPointer: state.mode === 'persistent' || !events ? agent.pc : events.programPositions[agent.id]
+        };
+    });
+    return {
+        tick: state.tick,
+        meetings,
+        firstMeetingTick: findFirstMeetingTick(entries),
+        nodesVisited: allVisited.size,
+        agents
+    };
+}
+
+// Default generator settings
+// Tail and cycle lengths only constrain graphs with a loop; an acyclic graph is a path of the chosen size
+// Without allowTinyCycles, cycles have at least MIN_VISIBLE_CYCLE_LENGTH nodes
+const DEFAULT_GENERATOR_SETTINGS = {
+    minNodes: 1,
+    maxNodes: MAX_GENERATED_NODES,
+    loopProbability: 0.5,
+    minTailLength: 0,
+    maxTailLength: MAX_GENERATED_NODES,
+    minCycleLength: 1,
+    maxCycleLength: MAX_GENERATED_NODES,
+    allowTinyCycles: false
+};
+
+// Smallest cycle generated unless self-loops and 2-node cycles are allowed
+const MIN_VISIBLE_CYCLE_LENGTH = 3;
+
+// Fill in missing generator settings with defaults and clamp them to sensible ranges
+function normalizeGeneratorSettings(settings = {}) {
+    const merged = { ...DEFAULT_GENERATOR_SETTINGS, ...settings };
+    const toInt = (value, min) => Math.max(min, Math.floor(Number(value)) || 0);
+
+    const minNodes = toInt(merged.minNodes, 1);
+    const minTailLength = toInt(merged.minTailLength, 0);
+    const minCycleLength = toInt(merged.minCycleLength, 1);
+    return {
+        minNodes,
+        maxNodes: Math.max(minNodes, toInt(merged.maxNodes, 1)),
+        loopProbability: Math.min(1, Math.max(0, Number(merged.loopProbability) || 0)),
+        minTailLength,
+        maxTailLength: Math.max(minTailLength, toInt(merged.maxTailLength, 0)),
+        minCycleLength,
+        maxCycleLength: Math.max(minCycleLength, toInt(merged.maxCycleLength, 1)),
+        allowTinyCycles: Boolean(merged.allowTinyCycles)
+    };
+}
+
+// Pick a random integer in [min, max]
+function randomInt(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+// Generate a random graph
+// Each node has at most one outgoing edge, and there is either no loop or a single loop
+// The same seed and settings always produce the same graph; a fresh seed is picked if none is given
+function createRandomGraph(seed = randomSeed(), settings = DEFAULT_GENERATOR_SETTINGS) {
+    const random = createRandom(seed);
+    const config = normalizeGeneratorSettings(settings);
+    const minCycle = Math.max(config.minCycleLength, config.allowTinyCycles ? 1 : MIN_VISIBLE_CYCLE_LENGTH);
+
+    let numNodes = randomInt(random, config.minNodes, config.maxNodes);
+    const hasLoop = random() < config.loopProbability;
+
+    // Sizes for which some cycle and tail length within the configured ranges add up
+    const loopSizes = [];
+    for (let n = config.minNodes; n <= config.maxNodes; n++) {
+        if (n >= minCycle + config.minTailLength && n <= config.maxCycleLength + config.maxTailLength) {
+            loopSizes.push(n);
+        }
+    }
+
+    if (!hasLoop || loopSizes.length === 0) {
+        // A simple path: each node (except the last) has exactly one outgoing edge
+        return { ...createRhoGraph(numNodes - 1, 0), seed };
+    }
+
+    // Keep the drawn size if a loop fits, otherwise pick one of the sizes where it does
+    if (!loopSizes.includes(numNodes)) {
+        numNodes = loopSizes[Math.floor(random() * loopSizes.length)];
+    }
+
+    // The last node points back to an earlier node, closing a cycle of cycleLength nodes
+    const cycleLength = randomInt(
+        random,
+        Math.max(minCycle, numNodes - config.maxTailLength),
+        Math.min(config.maxCycleLength, numNodes - config.minTailLength)
+    );
+    return { ...createRhoGraph(numNodes - cycleLength, cycleLength), seed };
+}
+
+// Build the graph with the given shape as seen from node 0
+// Nodes 0..n-1 form a path; if cycleLength > 0 the last node points back to node tailLength
+// A cycleLength of 0 means no cycle (the path simply ends)
+function createRhoGraph(tailLength, cycleLength) {
+    const numNodes = cycleLength > 0 ? tailLength + cycleLength : tailLength + 1;
+    const nodes = [];
+    const links = [];
+    for (let i = 0; i < numNodes; i++) {
+        nodes.push({ id: i, label: `N${i}` });
+    }
+    for (let i = 0; i < numNodes - 1; i++) {
+        links.push({ source: i, target: i + 1 });
+    }
+    if (cycleLength > 0) {
+        links.push({ source: numNodes - 1, target: tailLength });
+    }
+    return { nodes, links };
+}
+
+// List every rho shape with at most maxNodes nodes, smallest graphs first
+// For each size the acyclic path comes first, then cycles from a self-loop up to the whole graph
+function enumerateRhoShapes(maxNodes) {
+    const shapes = [];
+    for (let numNodes = 1; numNodes <= maxNodes; numNodes++) {
+        shapes.push({ tailLength: numNodes - 1, cycleLength: 0 });
+        for (let cycleLength = 1; cycleLength <= numNodes; cycleLength++) {
+            shapes.push({ tailLength: numNodes - cycleLength, cycleLength });
+        }
+    }
+    return shapes;
+}
+
+// Classify the result of a single headless run against the graph's true shape
+// detected: L on a cyclic graph, falsePositive: L on an acyclic graph,
+// terminated: all agents reached terminating nodes, missed: cyclic graph but undecided,
+// stalled: acyclic graph but undecided (agents stopped making progress)
+function classifyRunOutcome(run, shape) {
+    if (run.verdict.kind === 'loop') {
+        return shape.cycleLength !== null ? 'detected' : 'falsePositive';
+    }
+    if (run.verdict.kind === 'finished') return 'terminated';
+    return shape.cycleLength !== null ? 'missed' : 'stalled';
+}
+
+// Add one run outcome to a report bucket
+function addOutcomeToBucket(bucket, outcome, ticks, hasVerdict) {
+    bucket.total++;
+    bucket[outcome]++;
+    if (outcome === 'detected' || outcome === 'terminated') {
+        bucket.correct++;
+    }
+    if (hasVerdict) {
+        bucket.verdicts++;
+        bucket.totalTicks += ticks;
+    }
+}
+
+// Create an empty report bucket
+function createOutcomeBucket(key) {
+    return {
+        key,
+        total: 0,
+        correct: 0,
+        detected: 0,
+        falsePositive: 0,
+        missed: 0,
+        stalled: 0,
+        terminated: 0,
+        verdicts: 0,
+        totalTicks: 0
+    };
+}
+
+// Fill in derived statistics for a report bucket
+function finalizeOutcomeBucket(bucket) {
+    bucket.accuracy = bucket.total > 0 ? bucket.correct / bucket.total : 0;
+    bucket.averageTicks = bucket.verdicts > 0 ? bucket.totalTicks / bucket.verdicts : null;
+    return bucket;
+}
+
+// Run a program set against many generated graphs without animation
+// options: numGraphs, maxTicks, seed (graph i uses seed + i), generatorSettings,
+// createGraph(seed, index) (defaults to createRandomGraph with generatorSettings), sizeBucket (nodes per size bucket), maxFailures (failing runs to list),
+// mode (execution mode, see EXECUTION_MODES)
+// Returns an overall summary, breakdowns by graph size and cycle length, and failing graph seeds
+function evaluatePrograms(programs, options = {}) {
+    const numGraphs = options.numGraphs || 100;
+    const baseSeed = options.seed !== undefined ? options.seed : randomSeed();
+    const createGraph = options.createGraph || (seed => createRandomGraph(seed, options.generatorSettings));
+    const sizeBucket = options.sizeBucket || 5;
+    const maxFailures = options.maxFailures || 10;
+
+    const summary = createOutcomeBucket('all');
+    const bySize = new Map();
+    const byCycleLength = new Map();
+    const failures = [];
+
+    for (let i = 0; i < numGraphs; i++) {
+        const seed = (baseSeed + i) >>> 0;
+        const graph = createGraph(seed, i);
+        const shape = describeGraphShape(graph);
+        const run = runSimulation(graph, programs, { maxTicks: options.maxTicks, mode: options.mode });
+        const outcome = classifyRunOutcome(run, shape);
+
+        const sizeStart = Math.floor((graph.nodes.length - 1) / sizeBucket) * sizeBucket + 1;
+        const sizeKey = `${sizeStart}–${sizeStart + sizeBucket - 1}`;
+        const cycleKey = shape.cycleLength === null ? 'none' : String(shape.cycleLength);
+
+        if (!bySize.has(sizeKey)) bySize.set(sizeKey, createOutcomeBucket(sizeKey));
+        if (!byCycleLength.has(cycleKey)) byCycleLength.set(cycleKey, createOutcomeBucket(cycleKey));
+
+        [summary, bySize.get(sizeKey), byCycleLength.get(cycleKey)].forEach(bucket => {
+            addOutcomeToBucket(bucket, outcome, run.ticks, run.verdict.kind !== 'undecided');
+        });
+
+        if (outcome !== 'detected' && outcome !== 'terminated' && failures.length < maxFailures) {
+            failures.push({ seed, outcome, nodes: graph.nodes.length, cycleLength: shape.cycleLength });
+        }
+    }
+
+    // Sort numerically by bucket start; acyclic graphs come first in the cycle breakdown
+    const sortKey = key => (key === 'none' ? -1 : parseInt(key));
+    const sortBuckets = buckets => Array.from(buckets.values())
+        .sort((a, b) => sortKey(a.key) - sortKey(b.key))
+        .map(finalizeOutcomeBucket);
+
+    return {
+        seed: baseSeed,
+        failures,
+        summary: finalizeOutcomeBucket(summary),
+        bySize: sortBuckets(bySize),
+        byCycleLength: sortBuckets(byCycleLength)
+    };
+}
+
+// Number of distinct global states (positions and program counters) a run on the graph can visit
+function countGlobalStates(graph, programs, mode) {
+    const counters = programs.map(program => (mode === 'persistent' ? normalizeProgram(program).length + 1 : 1));
+    return counters.reduce((total, count) => total * graph.nodes.length * count, 1);
+}
+
+// Check a program set on every rho-shaped graph up to maxNodes nodes
+// Every node has out-degree <= 1, so each run is deterministic and one run per shape is a proof
+// A graph with n nodes has at most n^agents global states, so a run either reaches a verdict
+// or repeats a state within that many ticks; the default budget therefore makes the check exact
+// options: maxNodes (defaults to MAX_GENERATED_NODES), maxTicks (overrides the exact budget)
+// Returns { correct, checked, counterexample } where counterexample is the smallest failing graph
+function verifyPrograms(programs, options = {}) {
+    const maxNodes = options.maxNodes || MAX_GENERATED_NODES;
+    const shapes = enumerateRhoShapes(maxNodes);
+
+    for (let i = 0; i < shapes.length; i++) {
+        const { tailLength, cycleLength } = shapes[i];
+        const graph = createRhoGraph(tailLength, cycleLength);
+        const exactBudget = countGlobalStates(graph, programs, options.mode) + 1;
+        const run = runSimulation(graph, programs, { maxTicks: options.maxTicks || exactBudget, mode: options.mode });
+        const outcome = classifyRunOutcome(run, describeGraphShape(graph));
+
+        if (outcome !== 'detected' && outcome !== 'terminated') {
+            return {
+                correct: false,
+                checked: i + 1,
+                counterexample: { tailLength, cycleLength, outcome, ticks: run.ticks, graph }
+            };
+        }
+    }
+
+    return { correct: true, checked: shapes.length, counterexample: null };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_MAX_TICKS,
+        MAX_GENERATED_NODES,
+        DEFAULT_GENERATOR_SETTINGS,
+        MIN_VISIBLE_CYCLE_LENGTH,
+        VALID_INSTRUCTIONS,
+        EXECUTION_MODES,
+        DEFAULT_EXECUTION_MODE,
+        createRandom,
+        randomSeed,
+        parseSeed,
+        linkEndpointId,
+        buildSuccessorMap,
+        analyzeGraph,
+        classifyGraphEdges,
+        describeGraphShape,
+        normalizeProgram,
+        createSimulationState,
+        getAgentPath,
+        globalStateKey,
+        hasOtherAgentAtNode,
+        simulateTick,
+        runSimulation,
+        findFirstMeetingTick,
+        countNodeVisits,
+        summarizeRun,
+        normalizeGeneratorSettings,
+        createRandomGraph,
+        createRhoGraph,
+        enumerateRhoShapes,
+        classifyRunOutcome,
+        evaluatePrograms,
+        countGlobalStates,
+        verifyPrograms
+    };
+}
@@ -0,0 +1,983 @@
+// Graph import and export formats
+// Text ("Nodes:/Edges:"), JSON, Graphviz DOT and a one-line successor list such as [1,2,3,1]
+// Pure functions only, like engine.js; parse errors carry the line and column they refer to
+
+// Under Node the engine is loaded as a module; in the browser its functions are already globals
+if (typeof module !== 'undefined' && module.exports) {
+    var {
+        analyzeGraph, linkEndpointId, createRandom, randomSeed, parseSeed, createSimulationState, simulateTick
+    } = require('./engine.js');
+}
+
+// Names of the supported formats, as shown in the UI
+const GRAPH_FORMATS = {
+    text: 'Text',
+    json: 'JSON',
+    dot: 'Graphviz DOT',
+    successors: 'Successor list'
+};
+
+// Create a parse error pointing at a position in the input (1-based line and column)
+function createFormatError(message, line, column) {
+    const location = line ? ` (line ${line}${column ? `, column ${column}` : ''})` : '';
+    const error = new Error(`${message}${location}`);
+    error.line = line || null;
+    error.column = column || null;
+    return error;
+}
+
+// Convert an offset in the text to a 1-based line and column
+function offsetToLocation(text, offset) {
+    const before = text.slice(0, offset);
+    const lines = before.split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+// Get the label of a node by id
+function formatNodeLabel(graph, nodeId) {
+    const node = graph.nodes.find(n => n.id === nodeId);
+    return node && node.label ? node.label : `N${nodeId}`;
+}
+
+// Check the rules every imported graph must follow
+// edgeLocations[i] and nodeLocations[i] are the { line, column } of graph.links[i] and graph.nodes[i]
+// in the input, if known
+function validateImportedGraph(graph, edgeLocations = [], nodeLocations = []) {
+    const nodeIds = new Set();
+    graph.nodes.forEach((node, index) => {
+        if (nodeIds.has(node.id)) {
+            const location = nodeLocations[index] || {};
+            throw createFormatError(`Duplicate node id ${node.id}`, location.line, location.column);
+        }
+        nodeIds.add(node.id);
+    });
+
+    if (!nodeIds.has(0)) {
+        throw createFormatError('Graph must contain node 0 (the start node)');
+    }
+
+    const sources = new Set();
+    graph.links.forEach((link, index) => {
+        const location = edgeLocations[index] || {};
+        const sourceId = linkEndpointId(link.source);
+        const targetId = linkEndpointId(link.target);
+        [sourceId, targetId].forEach(nodeId => {
+            if (!nodeIds.has(nodeId)) {
+                throw createFormatError(`Edge refers to unknown node ${nodeId}`, location.line, location.column);
+            }
+        });
+        if (sources.has(sourceId)) {
+            throw createFormatError(
+                `${formatNodeLabel(graph, sourceId)} already has an outgoing edge (at most one is allowed)`,
+                location.line,
+                location.column
+            );
+        }
+        sources.add(sourceId);
+    });
+
+    return graph;
+}
+
+// Serialize graph to human-readable text format
+// Loop annotations come from walking the graph, not from how it was generated
+// options: blind (leave out the [LOOP] markers and the loop summary, for competitions),
+// startNodes (agents' start nodes the loop is looked for from, node 0 by default)
+function serializeGraphText(graph, options = {}) {
+    const startNodes = options.startNodes ? [...new Set(options.startNodes)] : [0];
+    const analysis = analyzeGraph(graph, startNodes);
+
+    let result = [];
+    result.push(`Graph with ${graph.nodes.length} node(s)`);
+    if (graph.seed !== undefined) {
+        result.push(`Seed: ${graph.seed}`);
+    }
+    result.push("");
+
+    // List all nodes
+    result.push("Nodes:");
+    graph.nodes.forEach(node => {
+        const label = node.label || `N${node.id}`;
+        result.push(`  ${label} (ID: ${node.id})`);
+    });
+    result.push("");
+
+    // List all edges
+    result.push("Edges:");
+    if (graph.links.length === 0) {
+        result.push("  (no edges)");
+    } else {
+        graph.links.forEach(link => {
+            const sourceLabel = formatNodeLabel(graph, linkEndpointId(link.source));
+            const targetLabel = formatNodeLabel(graph, linkEndpointId(link.target));
+
+            let edgeStr = `  ${sourceLabel} -> ${targetLabel}`;
+
+            // Mark loop edge
+            if (!options.blind && analysis.loopEdges.includes(link)) {
+                edgeStr += " [LOOP]";
+            }
+
+            result.push(edgeStr);
+        });
+    }
+    if (options.blind) {
+        return result.join("\n");
+    }
+    result.push("");
+
+    // Summary
+    const labels = ids => ids.map(id => formatNodeLabel(graph, id)).join(', ');
+    if (analysis.hasLoop) {
+        result.push("Graph contains a loop.");
+        result.push(`Tail from ${labels(startNodes)}: ${analysis.tailNodes.length > 0 ? labels(analysis.tailNodes) : '(none)'}`);
+        result.push(`Cycle: ${labels(analysis.cycleNodes)}`);
+    } else {
+        result.push("Graph does not contain a loop.");
+    }
+
+    return result.join("\n");
+}
+
+// Parse the text format produced by serializeGraphText
+// [LOOP] markers and the summary are accepted but ignored: loops are found by walking the graph
+// Every non-empty line must be recognised; anything else is reported with its position
+function parseGraphText(text) {
+    const lines = text.split('\n');
+    const nodes = [];
+    const links = [];
+    const edgeLocations = [];
+    const nodeLocations = [];
+    const nodeIdMap = new Map(); // Map from label to id
+    let seed;
+    let section = 'header';
+
+    lines.forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (line.length === 0) return;
+        const lineNumber = index + 1;
+        const column = rawLine.indexOf(line) + 1;
+
+        if (line.startsWith('Nodes:')) {
+            section = 'nodes';
+            return;
+        }
+        if (line.startsWith('Edges:')) {
+            if (section !== 'nodes') {
+                throw createFormatError('Edges section before Nodes section', lineNumber, column);
+            }
+            section = 'edges';
+            return;
+        }
+        if (/^Graph (contains|does not contain) a loop\.?$/.test(line)) {
+            section = 'summary';
+            return;
+        }
+
+        if (section === 'header') {
+            if (/^Graph with \d+ node\(s\)$/.test(line)) return;
+            const seedMatch = line.match(/^Seed:\s*(\d+)$/);
+            if (seedMatch) {
+                seed = parseSeed(seedMatch[1]);
+                return;
+            }
+            throw createFormatError(`Unexpected line before Nodes section: "${line}"`, lineNumber, column);
+        }
+
+        if (section === 'nodes') {
+            // Format: "N0 (ID: 0)" or just "N0"
+            const match = line.match(/^(\w+)\s*\(ID:\s*(\d+)\)$/) || line.match(/^(\w+)$/);
+            if (!match) {
+                throw createFormatError(`Invalid node "${line}", expected e.g. "N0 (ID: 0)"`, lineNumber, column);
+            }
+            const label = match[1];
+            const id = match[2] !== undefined ? parseInt(match[2]) : nodes.length;
+            if (nodeIdMap.has(label)) {
+                throw createFormatError(`Duplicate node label ${label}`, lineNumber, column);
+            }
+            nodes.push({ id, label });
+            nodeLocations.push({ line: lineNumber, column });
+            nodeIdMap.set(label, id);
+            return;
+        }
+
+        if (section === 'edges') {
+            if (line === '(no edges)') return;
+            // Format: "N0 -> N1" or "N0 -> N1 [LOOP]"
+            const match = line.match(/^(\w+)\s*->\s*(\w+)(?:\s*\[LOOP\])?$/);
+            if (!match) {
+                throw createFormatError(`Invalid edge "${line}", expected e.g. "N0 -> N1"`, lineNumber, column);
+            }
+            [match[1], match[2]].forEach(label => {
+                if (!nodeIdMap.has(label)) {
+                    throw createFormatError(`Unknown node ${label}`, lineNumber, column + line.indexOf(label));
+                }
+            });
+            links.push({ source: nodeIdMap.get(match[1]), target: nodeIdMap.get(match[2]) });
+            edgeLocations.push({ line: lineNumber, column });
+            return;
+        }
+
+        // Summary details written by serializeGraphText
+        if (/^(Tail from [^:]*|Cycle):/.test(line)) return;
+        throw createFormatError(`Unexpected line after the summary: "${line}"`, lineNumber, column);
+    });
+
+    if (section === 'header' || section === 'nodes') {
+        throw createFormatError('Invalid format: missing Nodes or Edges section');
+    }
+
+    const graph = { nodes, links };
+    if (seed !== undefined) {
+        graph.seed = seed;
+    }
+    return { graph: validateImportedGraph(graph, edgeLocations, nodeLocations) };
+}
+
+// Serialize graph to JSON, optionally with metadata, agent programs and agent start nodes
+function serializeGraphJSON(graph, extras = {}) {
+    return JSON.stringify(graphToJSONData(graph, extras), null, 2);
+}
+
+// Plain object behind the JSON format: { nodes, links, metadata?, programs?, startNodes? }
+function graphToJSONData(graph, extras = {}) {
+    const data = {
+        nodes: graph.nodes.map(node => ({ id: node.id, label: node.label || `N${node.id}` })),
+        links: graph.links.map(link => ({
+            source: linkEndpointId(link.source),
+            target: linkEndpointId(link.target)
+        }))
+    };
+    const metadata = { ...(extras.metadata || {}) };
+    if (graph.seed !== undefined) {
+        metadata.seed = graph.seed;
+    }
+    if (Object.keys(metadata).length > 0) {
+        data.metadata = metadata;
+    }
+    if (extras.programs) {
+        data.programs = extras.programs;
+    }
+    if (extras.startNodes) {
+        data.startNodes = extras.startNodes;
+    }
+    return data;
+}
+
+// Scan JSON text, finding the offset of the first syntax error and where every value starts
+// JSON.parse reports neither consistently across browsers, so scan the text ourselves
+// Returns { errorOffset (null when the text is valid), offsets (Map from a value's path, such as
+// 'links/0' for the first link, to its offset) }
+function scanJSON(text) {
+    const offsets = new Map();
+    let offset = 0;
+    const fail = () => {
+        throw offset;
+    };
+    const skipWhitespace = () => {
+        while (offset < text.length && /\s/.test(text[offset])) offset++;
+    };
+    const literal = word => {
+        if (text.startsWith(word, offset)) offset += word.length;
+        else fail();
+    };
+    const parseString = () => {
+        offset++;
+        while (offset < text.length && text[offset] !== '"') {
+            if (text[offset] === '\n') fail();
+            offset += text[offset] === '\\' ? 2 : 1;
+        }
+        if (offset >= text.length) fail();
+        offset++;
+    };
+    const childPath = (path, key) => (path === '' ? String(key) : `${path}/${key}`);
+    const parseValue = path => {
+        skipWhitespace();
+        offsets.set(path, offset);
+        const char = text[offset];
+        if (char === '{' || char === '[') {
+            const close = char === '{' ? '}' : ']';
+            offset++;
+            skipWhitespace();
+            if (text[offset] === close) {
+                offset++;
+                return;
+            }
+            let key = 0;
+            while (true) {
+                if (char === '{') {
+                    skipWhitespace();
+                    if (text[offset] !== '"') fail();
+                    const keyStart = offset;
+                    parseString();
+                    key = JSON.parse(text.slice(keyStart, offset));
+                    skipWhitespace();
+                    if (text[offset] !== ':') fail();
+                    offset++;
+                }
+                parseValue(childPath(path, key));
+                if (char === '[') key++;
+                skipWhitespace();
+                if (text[offset] === ',') {
+                    offset++;
+                } else if (text[offset] === close) {
+                    offset++;
+                    return;
+                } else {
+                    fail();
+                }
+            }
+        } else if (char === '"') {
+            parseString();
+        } else if (char === 't' || char === 'f' || char === 'n') {
+            literal({ t: 'true', f: 'false', n: 'null' }[char]);
+        } else {
+            const number = text.slice(offset).match(/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/);
+            if (!number) fail();
+            offset += number[0].length;
+        }
+    };
+
+    let errorOffset = null;
+    try {
+        parseValue('');
+        skipWhitespace();
+        if (offset < text.length) fail();
+    } catch (failedAt) {
+        errorOffset = failedAt;
+    }
+    return { errorOffset, offsets };
+}
+
+// Parse a JSON graph: { nodes: [{ id, label }], links: [{ source, target }], metadata?, programs?, startNodes? }
+function parseGraphJSON(text) {
+    return graphFromJSONData(parseJSONText(text), createJSONLocator(text));
+}
+
+// Parse JSON text, reporting syntax errors with their line and column
+function parseJSONText(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        const offset = scanJSON(text).errorOffset;
+        const { line, column } = offsetToLocation(text, offset);
+        const found = offset < text.length ? `"${text[offset]}"` : 'end of input';
+        throw createFormatError(`Invalid JSON: unexpected ${found}`, line, column);
+    }
+}
+
+// Create a function giving the { line, column } of a value in valid JSON text from its path (see scanJSON),
+// or {} for paths that aren't there; prefix is put before every path, e.g. 'graph/' for a replay's graph
+function createJSONLocator(text, prefix = '') {
+    let offsets = null;
+    return path => {
+        if (!offsets) {
+            offsets = scanJSON(text).offsets;
+        }
+        const offset = offsets.get(prefix + path);
+        return offset === undefined ? {} : offsetToLocation(text, offset);
+    };
+}
+
+// Build and validate a graph from the plain object behind the JSON format
+// locate(path) gives the position of a value in the input for error messages (see createJSONLocator)
+function graphFromJSONData(data, locate = () => ({})) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.nodes) || !Array.isArray(data.links)) {
+        throw createFormatError('JSON graph must be an object with "nodes" and "links" arrays');
+    }
+    const fail = (message, path) => {
+        const { line, column } = locate(path);
+        throw createFormatError(message, line, column);
+    };
+
+    const nodes = data.nodes.map((node, index) => {
+        const id = typeof node === 'object' && node !== null ? node.id : node;
+        if (!Number.isInteger(id) || id < 0) {
+            fail(`nodes[${index}]: id must be a non-negative integer`, `nodes/${index}`);
+        }
+        return { id, label: typeof node.label === 'string' ? node.label : `N${id}` };
+    });
+
+    const links = data.links.map((link, index) => {
+        if (!link || !Number.isInteger(link.source) || !Number.isInteger(link.target)) {
+            fail(`links[${index}]: source and target must be node ids`, `links/${index}`);
+        }
+        return { source: link.source, target: link.target };
+    });
+
+    const graph = { nodes, links };
+    const metadata = data.metadata && typeof data.metadata === 'object' ? data.metadata : undefined;
+    if (metadata && metadata.seed !== undefined) {
+        const seed = parseSeed(metadata.seed);
+        if (seed !== null) graph.seed = seed;
+    }
+
+    let programs;
+    if (data.programs !== undefined) {
+        if (!Array.isArray(data.programs) || data.programs.some(program => typeof program !== 'string')) {
+            fail('"programs" must be an array of strings', 'programs');
+        }
+        programs = data.programs;
+    }
+
+    let startNodes;
+    if (data.startNodes !== undefined) {
+        if (!Array.isArray(data.startNodes) || data.startNodes.some(nodeId => !nodes.some(node => node.id === nodeId))) {
+            fail('"startNodes" must be an array of node ids', 'startNodes');
+        }
+        startNodes = data.startNodes;
+    }
+
+    const edgeLocations = data.links.map((link, index) => locate(`links/${index}`));
+    const nodeLocations = data.nodes.map((node, index) => locate(`nodes/${index}`));
+    return { graph: validateImportedGraph(graph, edgeLocations, nodeLocations), metadata, programs, startNodes };
+}
+
+// Quote a DOT identifier when it isn't a plain name or number
+function dotId(value) {
+    const text = String(value);
+    return /^([A-Za-z_][A-Za-z0-9_]*|-?\d+)$/.test(text) ? text : `"${text.replace(/"/g, '\\"')}"`;
+}
+
+// Serialize graph to Graphviz DOT; loop edges are drawn purple like on the canvas
+// options: blind (draw every edge alike), startNodes (as for serializeGraphText)
+function serializeGraphDOT(graph, options = {}) {
+    const analysis = analyzeGraph(graph, options.startNodes || 0);
+    const lines = ['digraph G {'];
+    graph.nodes.forEach(node => {
+        lines.push(`  ${node.id} [label=${dotId(node.label || `N${node.id}`)}];`);
+    });
+    graph.links.forEach(link => {
+        const attributes = !options.blind && analysis.loopEdges.includes(link) ? ' [color=purple]' : '';
+        lines.push(`  ${linkEndpointId(link.source)} -> ${linkEndpointId(link.target)}${attributes};`);
+    });
+    lines.push('}');
+    return lines.join('\n');
+}
+
+// Split DOT source into tokens with their positions, skipping whitespace and comments
+function tokenizeDOT(text) {
+    const tokens = [];
+    let offset = 0;
+    while (offset < text.length) {
+        const rest = text.slice(offset);
+        const whitespace = rest.match(/^(\s+|\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/)/);
+        if (whitespace) {
+            offset += whitespace[0].length;
+            continue;
+        }
+
+        const location = offsetToLocation(text, offset);
+        let match;
+        if ((match = rest.match(/^(->|--|[{}[\];,=])/))) {
+            tokens.push({ type: match[0], value: match[0], ...location });
+        } else if ((match = rest.match(/^"((?:[^"\\]|\\.)*)"/))) {
+            tokens.push({ type: 'id', value: match[1].replace(/\\"/g, '"'), ...location });
+        } else if ((match = rest.match(/^([A-Za-z_][A-Za-z0-9_]*|-?(\d+(\.\d*)?|\.\d+))/))) {
+            tokens.push({ type: 'id', value: match[0], ...location });
+        } else {
+            throw createFormatError(`Unexpected character "${rest[0]}"`, location.line, location.column);
+        }
+        offset += match[0].length;
+    }
+    return tokens;
+}
+
+// Parse a Graphviz DOT digraph (node and edge statements, including chains like a -> b -> c)
+// Node names that are numbers (or N<number>) keep that id; otherwise ids follow order of appearance
+function parseGraphDOT(text) {
+    const tokens = tokenizeDOT(text);
+    let index = 0;
+    const endLocation = offsetToLocation(text, text.length);
+
+    const peek = () => tokens[index];
+    const next = () => {
+        const token = tokens[index++];
+        if (!token) {
+            throw createFormatError('Unexpected end of input', endLocation.line, endLocation.column);
+        }
+        return token;
+    };
+    const expect = type => {
+        const token = next();
+        if (token.type !== type) {
+            throw createFormatError(`Expected "${type}" but found "${token.value}"`, token.line, token.column);
+        }
+        return token;
+    };
+    const isKeyword = (token, keyword) => token && token.type === 'id' && token.value.toLowerCase() === keyword;
+
+    // Attribute list: [a=b, c=d]
+    const parseAttributes = () => {
+        const attributes = {};
+        while (peek() && peek().type === '[') {
+            next();
+            while (peek() && peek().type !== ']') {
+                const key = expect('id');
+                expect('=');
+                attributes[key.value] = expect('id').value;
+                if (peek() && (peek().type === ',' || peek().type === ';')) next();
+            }
+            expect(']');
+        }
+        return attributes;
+    };
+
+    if (isKeyword(peek(), 'strict')) next();
+    const header = next();
+    if (!isKeyword(header, 'digraph')) {
+        throw createFormatError(isKeyword(header, 'graph')
+            ? 'Only directed graphs (digraph) are supported'
+            : `Expected "digraph" but found "${header.value}"`, header.line, header.column);
+    }
+    if (peek() && peek().type === 'id') next(); // Graph name
+    expect('{');
+
+    const nodeOrder = [];
+    const nodeLabels = new Map();
+    const nodeLocations = [];
+    const edges = [];
+    const addNode = nodeToken => {
+        if (!nodeLabels.has(nodeToken.value)) {
+            nodeOrder.push(nodeToken.value);
+            nodeLabels.set(nodeToken.value, null);
+            nodeLocations.push({ line: nodeToken.line, column: nodeToken.column });
+        }
+    };
+
+    while (peek() && peek().type !== '}') {
+        const token = next();
+        if (token.type === ';') continue;
+        if (token.type !== 'id') {
+            throw createFormatError(`Unexpected "${token.value}"`, token.line, token.column);
+        }
+        if (isKeyword(token, 'subgraph')) {
+            throw createFormatError('Subgraphs are not supported', token.line, token.column);
+        }
+        if (['graph', 'node', 'edge'].some(keyword => isKeyword(token, keyword))) {
+            parseAttributes(); // Default attributes don't affect the graph
+            continue;
+        }
+        if (peek() && peek().type === '=') {
+            next();
+            expect('id'); // Graph attribute, e.g. rankdir=LR
+            continue;
+        }
+
+        // Node statement or edge chain
+        const chain = [token];
+        while (peek() && (peek().type === '->' || peek().type === '--')) {
+            const arrow = next();
+            if (arrow.type === '--') {
+                throw createFormatError('Undirected edge "--" in a digraph, use "->"', arrow.line, arrow.column);
+            }
+            chain.push(expect('id'));
+        }
+        const attributes = parseAttributes();
+        chain.forEach(addNode);
+        if (chain.length === 1) {
+            if (attributes.label !== undefined) {
+                nodeLabels.set(token.value, attributes.label);
+            }
+        } else {
+            for (let i = 0; i < chain.length - 1; i++) {
+                edges.push({ source: chain[i].value, target: chain[i + 1].value, line: chain[i].line, column: chain[i].column });
+            }
+        }
+    }
+    expect('}');
+    if (peek()) {
+        throw createFormatError(`Unexpected "${peek().value}" after the graph`, peek().line, peek().column);
+    }
+
+    // Numbered names keep their number as id; any other name gets the lowest id left, in order of appearance
+    const isNumbered = name => /^N?\d+$/.test(name);
+    const idOf = new Map();
+    nodeOrder.filter(isNumbered).forEach(name => idOf.set(name, parseInt(name.replace(/^N/, ''))));
+    const takenIds = new Set(idOf.values());
+    let nextId = 0;
+    nodeOrder.filter(name => !isNumbered(name)).forEach(name => {
+        while (takenIds.has(nextId)) nextId++;
+        idOf.set(name, nextId++);
+    });
+    const nodes = nodeOrder.map(name => {
+        const id = idOf.get(name);
+        const label = nodeLabels.get(name) || (isNumbered(name) ? `N${id}` : name);
+        return { id, label };
+    });
+    const links = edges.map(edge => ({ source: idOf.get(edge.source), target: idOf.get(edge.target) }));
+
+    return { graph: validateImportedGraph({ nodes, links }, edges, nodeLocations) };
+}
+
+// Serialize graph as a successor list: entry i is the node that node i points to, or null
+// Node ids are renumbered by position if they aren't already 0..n-1
+function serializeGraphSuccessors(graph) {
+    const sortedIds = graph.nodes.map(node => node.id).sort((a, b) => a - b);
+    const indexOf = new Map(sortedIds.map((id, i) => [id, i]));
+    const successors = sortedIds.map(() => null);
+    graph.links.forEach(link => {
+        successors[indexOf.get(linkEndpointId(link.source))] = indexOf.get(linkEndpointId(link.target));
+    });
+    return `[${successors.map(successor => (successor === null ? 'null' : successor)).join(',')}]`;
+}
+
+// Parse a successor list such as [1,2,3,1]: entry i is the successor of node i (null or -1 for none)
+function parseGraphSuccessors(text) {
+    const tokenPattern = /\s*(\[|\]|,|-?\d+|null|[^\s,[\]]+)/g;
+    const entries = [];
+    let expecting = 'open';
+    let match;
+    while ((match = tokenPattern.exec(text)) !== null) {
+        const token = match[1];
+        const { line, column } = offsetToLocation(text, match.index + match[0].indexOf(token));
+        if (expecting === 'open') {
+            if (token !== '[') throw createFormatError('Successor list must start with "["', line, column);
+            expecting = 'firstEntry';
+        } else if (expecting === 'firstEntry' && token === ']') {
+            expecting = 'end';
+        } else if (expecting === 'firstEntry' || expecting === 'entry') {
+            if (token !== 'null' && !/^-?\d+$/.test(token)) {
+                throw createFormatError(`Expected a node number or null but found "${token}"`, line, column);
+            }
+            entries.push({ value: token === 'null' ? -1 : parseInt(token), line, column });
+            expecting = 'separator';
+        } else if (expecting === 'separator') {
+            if (token !== ',' && token !== ']') {
+                throw createFormatError(`Expected "," or "]" but found "${token}"`, line, column);
+            }
+            expecting = token === ',' ? 'entry' : 'end';
+        } else {
+            throw createFormatError(`Unexpected "${token}" after the list`, line, column);
+        }
+    }
+    if (expecting !== 'end') {
+        const { line, column } = offsetToLocation(text, text.length);
+        throw createFormatError('Unterminated successor list, expected "]"', line, column);
+    }
+    if (entries.length === 0) {
+        throw createFormatError('Successor list must contain at least one node');
+    }
+
+    const nodes = entries.map((entry, id) => ({ id, label: `N${id}` }));
+    const links = [];
+    entries.forEach((entry, id) => {
+        if (entry.value === -1) return;
+        if (entry.value < 0 || entry.value >= entries.length) {
+            throw createFormatError(`Node ${entry.value} does not exist (nodes are 0-${entries.length - 1})`,
+                entry.line, entry.column);
+        }
+        links.push({ source: id, target: entry.value });
+    });
+
+    return { graph: { nodes, links } };
+}
+
+// Guess the format of pasted graph text
+function detectGraphFormat(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[')) return 'successors';
+    if (trimmed.startsWith('{')) return 'json';
+    // "graph" alone isn't enough: the text format starts with "Graph with N node(s)"
+    if (/^(strict\s+)?(di)?graph\s*("[^"]*"|\w+)?\s*\{/i.test(trimmed)) return 'dot';
+    return 'text';
+}
+
+// Parse graph text in any supported format, detecting the format automatically
+// Returns { format, graph, metadata?, programs?, startNodes? }; throws errors with line/column on bad input
+function parseGraph(text) {
+    const format = detectGraphFormat(text);
+    const parsers = {
+        text: parseGraphText,
+        json: parseGraphJSON,
+        dot: parseGraphDOT,
+        successors: parseGraphSuccessors
+    };
+    return { format, ...parsers[format](text) };
+}
+
+// Renumber a graph's nodes in shuffled order, for blind exports: generated graphs are numbered along their path,
+// so the ids and the order of the edges would show where the cycle starts
+// Node 0 stays the start node; every other node gets a new id and the label N<id>, the edges are listed by source
+// and the seed is left out, since it would regenerate the original graph
+// startNodes are renumbered like the nodes; shuffleSeed picks the order (a random one by default)
+// Returns { graph, startNodes }
+function shuffleGraphIds(graph, startNodes, shuffleSeed = randomSeed()) {
+    const random = createRandom(shuffleSeed);
+    const otherIds = graph.nodes.map(node => node.id).filter(id => id !== 0);
+    const newIds = otherIds.map((id, index) => index + 1);
+    for (let i = newIds.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [newIds[i], newIds[j]] = [newIds[j], newIds[i]];
+    }
+    const idMap = new Map([[0, 0], ...otherIds.map((id, index) => [id, newIds[index]])]);
+
+    const nodes = graph.nodes
+        .map(node => ({ id: idMap.get(node.id), label: `N${idMap.get(node.id)}` }))
+        .sort((a, b) => a.id - b.id);
+    const links = graph.links
+        .map(link => ({ source: idMap.get(linkEndpointId(link.source)), target: idMap.get(linkEndpointId(link.target)) }))
+        .sort((a, b) => a.source - b.source || a.target - b.target);
+    return { graph: { nodes, links }, startNodes: startNodes && startNodes.map(nodeId => idMap.get(nodeId)) };
+}
+
+// Serialize graph in the given format; extras (metadata, programs, startNodes) are only kept by JSON
+// extras.blind leaves out loop annotations (JSON and successor lists have none) and shuffles the node ids
+// (see shuffleGraphIds); text and DOT look for loops from extras.startNodes
+function serializeGraphAs(graph, format, extras = {}) {
+    if (extras.blind) {
+        const shuffled = shuffleGraphIds(graph, extras.startNodes);
+        graph = shuffled.graph;
+        extras = { ...extras, startNodes: shuffled.startNodes };
+    }
+    switch (format) {
+        case 'json':
+            return serializeGraphJSON(graph, extras);
+        case 'dot':
+            return serializeGraphDOT(graph, { blind: extras.blind, startNodes: extras.startNodes });
+        case 'successors':
+            return serializeGraphSuccessors(graph);
+        default:
+            return serializeGraphText(graph, { blind: extras.blind, startNodes: extras.startNodes });
+    }
+}
+
+// Encode a whole setup (graph, agent count, programs, start nodes, execution mode, seed) as a URL hash such as
+// #graph=[1,2,3,1]&agents=2&programs=SS,CSL&start=0,2&mode=persistent&seed=1234
+// The graph travels as a successor list, so node ids (including start nodes) are renumbered 0..n-1
+function encodeSetupHash(setup) {
+    const params = new URLSearchParams();
+    params.set('graph', serializeGraphSuccessors(setup.graph));
+    params.set('agents', String(setup.programs.length));
+    params.set('programs', setup.programs.join(','));
+    if (setup.startNodes && setup.startNodes.some(nodeId => nodeId !== 0)) {
+        const sortedIds = setup.graph.nodes.map(node => node.id).sort((a, b) => a - b);
+        params.set('start', setup.startNodes.map(nodeId => Math.max(0, sortedIds.indexOf(nodeId))).join(','));
+    }
+    if (setup.mode) {
+        params.set('mode', setup.mode);
+    }
+    if (setup.graph.seed !== undefined) {
+        params.set('seed', String(setup.graph.seed));
+    }
+    // Keep brackets and commas readable; they are valid in a fragment
+    return '#' + params.toString().replace(/%5B/g, '[').replace(/%5D/g, ']').replace(/%2C/g, ',');
+}
+
+// Decode a hash written by encodeSetupHash into { graph, programs, startNodes, mode }, or null if it holds no graph
+function decodeSetupHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has('graph')) return null;
+
+    let graph;
+    try {
+        graph = parseGraphSuccessors(params.get('graph')).graph;
+    } catch (error) {
+        throw createFormatError(`Invalid graph in link: ${error.message}`);
+    }
+    const seed = params.has('seed') ? parseSeed(params.get('seed')) : null;
+    if (seed !== null) {
+        graph.seed = seed;
+    }
+
+    const programs = (params.get('programs') || '').split(',');
+    const agents = parseInt(params.get('agents'));
+    const numAgents = agents > 0 ? agents : programs.length;
+    while (programs.length < numAgents) {
+        programs.push('');
+    }
+
+    // Unknown start nodes fall back to node 0 when the simulation starts
+    const startNodes = params.has('start')
+        ? params.get('start').split(',').map(nodeId => parseInt(nodeId) || 0).slice(0, numAgents)
+        : undefined;
+
+    return { graph, programs: programs.slice(0, numAgents), startNodes, mode: params.get('mode') || undefined };
+}
+
+// Replay files: a whole recorded run as JSON, with everything needed to show it again
+// { format, version, graph, programs, startNodes, rules: { mode, maxTicks }, seed, ticks }
+// Every tick stores each agent's node, program counter and finished flag, the RNG state,
+// the verdict and the tick's events (moves, meetings, conditions, program positions)
+const REPLAY_FORMAT = 'loopfinder-replay';
+const REPLAY_VERSION = 1;
+
+// Serialize a recorded run (trace entries { state, events }, starting with tick 0) as a replay file
+function serializeReplay(replay) {
+    const data = {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        graph: graphToJSONData(replay.graph),
+        programs: replay.programs,
+        startNodes: replay.startNodes,
+        rules: { mode: replay.mode, maxTicks: replay.maxTicks },
+        seed: replay.graph.seed !== undefined ? replay.graph.seed : null,
+        ticks: replay.trace.map(entry => ({
+            tick: entry.state.tick,
+            agents: entry.state.agents.map(agent => ({ node: agent.currentNode, pc: agent.pc, finished: agent.finished })),
+            rngState: entry.state.rngState,
+            verdict: entry.state.verdict,
+            events: entry.events
+        }))
+    };
+    return JSON.stringify(data, null, 2);
+}
+
+// Parse a replay file into { graph, programs, startNodes, mode, maxTicks, trace }
+// Agent paths are rebuilt from the recorded moves, so the trace can be shown like a live run
+function parseReplay(text) {
+    const data = parseJSONText(text);
+    if (!data || typeof data !== 'object' || data.format !== REPLAY_FORMAT) {
+        throw createFormatError('Not a replay file');
+    }
+    if (data.version !== REPLAY_VERSION) {
+        throw createFormatError(`Unsupported replay version ${data.version}`);
+    }
+    if (!data.graph || typeof data.graph !== 'object') {
+        throw createFormatError('Replay has no graph');
+    }
+    const { graph } = graphFromJSONData(data.graph, createJSONLocator(text, 'graph/'));
+    if (data.seed !== null && data.seed !== undefined) {
+        graph.seed = data.seed;
+    }
+    if (!Array.isArray(data.programs) || data.programs.some(program => typeof program !== 'string')) {
+        throw createFormatError('Replay programs must be an array of strings');
+    }
+    if (!Array.isArray(data.ticks) || data.ticks.length === 0) {
+        throw createFormatError('Replay has no ticks');
+    }
+
+    const nodeIds = new Set(graph.nodes.map(node => node.id));
+    const rules = data.rules || {};
+    const startNodes = data.startNodes === undefined ? data.programs.map(() => 0) : data.startNodes;
+    if (!Array.isArray(startNodes) || startNodes.length !== data.programs.length) {
+        throw createFormatError(`Replay start nodes must list all ${data.programs.length} agents`);
+    }
+    startNodes.forEach((nodeId, agentId) => {
+        if (!nodeIds.has(nodeId)) {
+            throw createFormatError(`Agent ${agentId + 1} starts on unknown node ${nodeId}`);
+        }
+    });
+    const trace = [];
+    // Like the engine, every agent's path is one array shared by all ticks, each seeing a prefix of it
+    const paths = startNodes.map(nodeId => [nodeId]);
+    data.ticks.forEach((tick, index) => {
+        if (!tick || !Array.isArray(tick.agents) || tick.agents.length !== data.programs.length) {
+            throw createFormatError(`Tick ${index} must list all ${data.programs.length} agents`);
+        }
+        tick.agents.forEach((agent, agentId) => {
+            if (!agent || typeof agent !== 'object') {
+                throw createFormatError(`Tick ${index}: agent ${agentId + 1} must be an object`);
+            }
+            if (!nodeIds.has(agent.node)) {
+                throw createFormatError(`Tick ${index}: agent ${agentId + 1} is on unknown node ${agent.node}`);
+            }
+        });
+        if (index > 0) {
+            validateReplayEvents(tick.events, index, data.programs.length, nodeIds);
+            tick.events.moves.forEach(move => {
+                if (!Array.isArray(move.route) || move.route.length === 0 || !move.route.every(nodeId => nodeIds.has(nodeId))) {
+                    throw createFormatError(`Tick ${index}: agent ${move.agentId + 1}'s move has no valid route`);
+                }
+                paths[move.agentId].push(...move.route.slice(1));
+            });
+        }
+        const agents = tick.agents.map((agent, agentId) => ({
+            id: agentId,
+            currentNode: agent.node,
+            path: paths[agentId],
+            pathLength: paths[agentId].length,
+            pc: agent.pc || 0,
+            finished: !!agent.finished
+        }));
+        trace.push({
+            state: {
+                tick: index,
+                agents,
+                verdict: tick.verdict || null,
+                rngState: tick.rngState,
+                mode: rules.mode,
+                startNodes
+            },
+            events: index > 0 ? tick.events : null
+        });
+    });
+
+    return { graph, programs: data.programs, startNodes, mode: rules.mode, maxTicks: rules.maxTicks, trace };
+}
+
+// Check the events recorded for a replay tick, so a file can't break the views that read them
+// Every event must name agents among the numAgents and nodes in nodeIds; move routes are checked by parseReplay
+function validateReplayEvents(events, index, numAgents, nodeIds) {
+    if (!events || typeof events !== 'object') {
+        throw createFormatError(`Tick ${index} has no events`);
+    }
+    ['conditions', 'meetings', 'moves'].forEach(kind => {
+        if (!Array.isArray(events[kind]) || events[kind].some(event => !event || typeof event !== 'object')) {
+            throw createFormatError(`Tick ${index}: ${kind} must be an array of objects`);
+        }
+    });
+    const isAgentId = agentId => Number.isInteger(agentId) && agentId >= 0 && agentId < numAgents;
+    if (events.conditions.some(condition => !isAgentId(condition.agentId)) ||
+        events.moves.some(move => !isAgentId(move.agentId))) {
+        throw createFormatError(`Tick ${index}: an event names an unknown agent`);
+    }
+    events.meetings.forEach(meeting => {
+        if (!Array.isArray(meeting.agentIds) || !meeting.agentIds.every(isAgentId)) {
+            throw createFormatError(`Tick ${index}: a meeting names an unknown agent`);
+        }
+        if (!nodeIds.has(meeting.nodeId)) {
+            throw createFormatError(`Tick ${index}: a meeting is on unknown node ${meeting.nodeId}`);
+        }
+    });
+    const positions = events.programPositions;
+    if (!Array.isArray(positions) || positions.length !== numAgents ||
+        !positions.every(position => Number.isInteger(position) && position >= 0)) {
+        throw createFormatError(`Tick ${index}: programPositions must list a position for all ${numAgents} agents`);
+    }
+}
+
+// Re-run a parsed replay and compare every tick with the recorded one
+// Returns { consistent: true } or { consistent: false, tick } with the first tick that differs
+function checkReplay(replay) {
+    let state = createSimulationState(replay.graph, replay.programs.length, { mode: replay.mode, startNodes: replay.startNodes });
+    for (let index = 0; index < replay.trace.length; index++) {
+        if (index > 0) {
+            state = simulateTick(replay.graph, state, replay.programs, { maxTicks: replay.maxTicks }).state;
+        }
+        const recorded = replay.trace[index].state;
+        const sameAgents = state.agents.every((agent, agentId) => {
+            const other = recorded.agents[agentId];
+            return agent.currentNode === other.currentNode && agent.pc === other.pc && agent.finished === other.finished;
+        });
+        const sameVerdict = (state.verdict && state.verdict.kind) === (recorded.verdict && recorded.verdict.kind);
+        if (!sameAgents || !sameVerdict) {
+            return { consistent: false, tick: index };
+        }
+    }
+    return { consistent: true };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GRAPH_FORMATS,
+        createFormatError,
+        serializeGraphText,
+        parseGraphText,
+        serializeGraphJSON,
+        parseGraphJSON,
+        serializeGraphDOT,
+        parseGraphDOT,
+        serializeGraphSuccessors,
+        parseGraphSuccessors,
+        detectGraphFormat,
+        parseGraph,
+        shuffleGraphIds,
+        serializeGraphAs,
+        encodeSetupHash,
+        decodeSetupHash,
+        serializeReplay,
+        parseReplay,
+        checkReplay
+    };
+}
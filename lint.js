@@ -0,0 +1,98 @@
+// Static checks for agent programs: mistakes the engine would silently work around at runtime
+// Pure functions only, like engine.js; the UI lists the warnings under each agent's editor
+
+// Under Node the engine is loaded as a module; in the browser its functions are already globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { normalizeProgram } = require('./engine.js');
+}
+
+// Check a program without running it, following the engine's rules for C, L and J
+// options: mode (execution mode the program runs in), maxLength (longest program a quick-fix may produce)
+// Returns a list of warnings { code, message, position, length, fix }, where position and length mark the
+// characters concerned and fix is { label, program } (the corrected program), or null when none fits
+// codes: trailing-condition, double-condition, unreachable, no-step
+function lintProgram(program, options = {}) {
+    const instructions = normalizeProgram(program);
+    const persistent = options.mode === 'persistent';
+    const maxLength = options.maxLength || Infinity;
+    const warnings = [];
+    if (instructions.length === 0) return warnings;
+
+    const without = (start, count) => instructions.slice(0, start) + instructions.slice(start + count);
+    let steps = false;
+    let endsRun = false;
+    let position = 0;
+    // Walk the instructions a program can run in order; a C takes the instruction after it along
+    while (position < instructions.length) {
+        const instruction = instructions[position];
+
+        if (instruction === 'C') {
+            const next = instructions[position + 1];
+            if (next === undefined) {
+                warnings.push({
+                    code: 'trailing-condition',
+                    message: 'C at end of program has no effect',
+                    position,
+                    length: 1,
+                    fix: { label: 'Remove the C', program: without(position, 1) }
+                });
+            } else if (next === 'C') {
+                warnings.push({
+                    code: 'double-condition',
+                    message: 'C followed by C: the second C is taken as the first one\'s instruction and checks nothing',
+                    position: position + 1,
+                    length: 1,
+                    fix: { label: 'Remove the second C', program: without(position + 1, 1) }
+                });
+            } else if (next === 'S') {
+                steps = true;
+            }
+            position += 2;
+            continue;
+        }
+
+        // An L always ends the run; a J ends the program (restart mode) or goes back to the start (persistent
+        // mode), except a J at the very start of a persistent program, which runs as a no-op
+        const ends = instruction === 'L' || (instruction === 'J' && (!persistent || position > 0));
+        if (ends) {
+            endsRun = instruction === 'L';
+            const rest = instructions.slice(position + 1);
+            if (rest.length > 0) {
+                const what = rest.includes('L') ? 'L is' : `${rest} ${rest.length === 1 ? 'is' : 'are'}`;
+                warnings.push({
+                    code: 'unreachable',
+                    message: `${what} unreachable: the ${instruction} at position ${position + 1} always comes first`,
+                    position: position + 1,
+                    length: rest.length,
+                    fix: { label: 'Remove the unreachable instructions', program: instructions.slice(0, position + 1) }
+                });
+            }
+            break;
+        }
+
+        if (instruction === 'S') {
+            steps = true;
+        }
+        position++;
+    }
+
+    // An agent that can neither step nor report a loop never gets anywhere
+    if (!steps && !endsRun) {
+        const fixed = 'S' + instructions;
+        warnings.push({
+            code: 'no-step',
+            message: 'Program never steps, so the agent can\'t make progress',
+            position: 0,
+            length: instructions.length,
+            fix: fixed.length <= maxLength ? { label: 'Start with S', program: fixed } : null
+        });
+    }
+
+    return warnings;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        lintProgram
+    };
+}
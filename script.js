@@ -1,12 +1,59 @@
 // Graph and agent simulation
 let graph = null;
-let agents = [];
+let runState = null; // Engine state: { tick, agents, verdict }
+let runTrace = []; // Every tick of the current run as { state, events }, starting with tick 0 (simulated ticks add programs and maxTicks)
+let traceIndex = 0; // Tick of runTrace currently shown
 let svg = null;
 let simulation = null;
 let isProgressing = false;
-let progressInterval = null;
+let progressTimer = null; // Timeout of the next automatic tick
+let isInstant = false; // Instant mode: run ticks as fast as possible without animation
+let showTrails = false; // Draw a fading trail behind each agent
+let showHeatmap = false; // Tint nodes by how often agents visited them
+let agentAnimationTimer = null; // Timeout that redraws agents once their move animation ends (null when not animating)
+let isEditing = false; // Graph editor mode on the canvas
+let placingAgentId = null; // Agent whose start node the next node click sets (null when not placing agents)
+let generatorSettings = { ...DEFAULT_GENERATOR_SETTINGS }; // Settings used by 💥 and batch evaluation
+let replay = null; // Replay file being viewed read-only ({ ..., check } from parseReplay and checkReplay), or null for a live run
+let challenge = null; // Challenge level being played ({ level, graphs, graphIndex }), or null in free play
+let blindMode = { enabled: false, pinHash: null }; // Blind mode hides loops until the verdict; a PIN hash locks it on
+let competitionServer = null; // Rules of the competition server (server.js) the page was loaded from, or null
+let debugMode = null; // Phase-by-phase debugger ({ breakpoints, session, paused }) while 🐞 is on, or null
 
-// Agent colors (max 5 agents)
+// Playback speeds selectable with #speedSlider (multiples of one tick per second)
+const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 3, 5, 10];
+
+// Ticks run between redraws in instant mode
+const INSTANT_TICKS_PER_BATCH = 100;
+
+// Number of most recent hops drawn in an agent's trail
+const TRAIL_LENGTH = 12;
+
+// Largest number of agents selectable in #numAgents
+const MAX_AGENTS = 10;
+
+// Longest program an agent's editor accepts outside challenge levels
+const MAX_PROGRAM_LENGTH = 10;
+
+// localStorage key of the solved challenge levels: { [levelId]: { programs, solvedAt } }
+const CHALLENGE_PROGRESS_KEY = 'loopfinder.challengeProgress';
+
+// localStorage key of the blind mode settings: { enabled, pinHash }
+const BLIND_MODE_KEY = 'loopfinder.blindMode';
+
+// localStorage key of the running tournament (see createTournament)
+const TOURNAMENT_KEY = 'loopfinder.tournament';
+
+// localStorage key of the team name last used to submit to a competition server
+const TEAM_NAME_KEY = 'loopfinder.teamName';
+
+// The three phases of a round, as the debugger steps through them
+const DEBUG_PHASE_NAMES = { 1: 'conditions', 2: 'decisions', 3: 'execution' };
+
+// Breakpoints the debugger offers
+const DEBUG_BREAKPOINT_TYPES = { node: 'Agent reaches node', meeting: 'First meeting', loop: 'Before L' };
+
+// Colors of the first agents; further agents get generated colors (see getAgentColor)
 const AGENT_COLORS = [
     '#ff0000', // Red
     '#00ff00', // Green
@@ -15,6 +62,20 @@ const AGENT_COLORS = [
     '#00ffff'  // Cyan
 ];
 
+// Hue and lightness of the generated colors, most distinct first: the hues lie halfway between those of
+// AGENT_COLORS (orange, azure, violet, spring green, rose, chartreuse), and the ones nearest a base color
+// or the blue edges are lighter or darker, so no two agents look alike
+const EXTRA_AGENT_SHADES = [[30, 0.5], [210, 0.65], [270, 0.6], [150, 0.35], [330, 0.4], [90, 0.35]];
+
+// Human-readable descriptions of headless run outcomes (see classifyRunOutcome)
+const OUTCOME_DESCRIPTIONS = {
+    detected: 'loop detected',
+    terminated: 'all agents finished',
+    falsePositive: 'L on a graph without a loop',
+    missed: 'loop never reported',
+    stalled: 'agents never finished'
+};
+
 // Initialize the application
 function init() {
     // Create SVG container
@@ -25,6 +86,13 @@ function init() {
     svg = container.append('svg')
         .attr('width', width)
         .attr('height', height);
+    
+    // In edit mode, clicking empty space adds a node
+    svg.on('click', (event) => {
+        if (!isEditing || event.target !== svg.node()) return;
+        const [x, y] = d3.pointer(event);
+        addGraphNode(x, y);
+    });
 
     // Handle window resize
     window.addEventListener('resize', () => {
@@ -38,97 +106,124 @@ function init() {
     });
 
     // Button event listeners
-    document.getElementById('generateGraph').addEventListener('click', generateNewGraph);
+    document.getElementById('generateGraph').addEventListener('click', () => generateNewGraph());
     document.getElementById('resetAgents').addEventListener('click', resetAgents);
     document.getElementById('stepAgents').addEventListener('click', stepAgentsOnce);
     document.getElementById('progressAgents').addEventListener('click', startProgressing);
+    document.getElementById('speedSlider').addEventListener('input', updateSpeedLabel);
+    document.getElementById('instantMode').addEventListener('click', toggleInstantMode);
+    document.getElementById('showTrails').addEventListener('click', toggleTrails);
+    document.getElementById('showHeatmap').addEventListener('click', toggleHeatmap);
+    document.getElementById('blindMode').addEventListener('click', showBlindModeDialog);
+    document.getElementById('debugMode').addEventListener('click', toggleDebugMode);
     document.getElementById('showGraphSerialization').addEventListener('click', showGraphSerialization);
     document.getElementById('loadGraph').addEventListener('click', showLoadGraphDialog);
+    document.getElementById('copyLink').addEventListener('click', copySetupLink);
+    document.getElementById('saveReplay').addEventListener('click', saveReplay);
+    document.getElementById('openReplay').addEventListener('click', () => document.getElementById('replayFile').click());
+    document.getElementById('replayFile').addEventListener('change', function() {
+        if (this.files.length > 0) {
+            openReplayFile(this.files[0]);
+        }
+        // Allow the same file to be opened again
+        this.value = '';
+    });
+    document.getElementById('editGraph').addEventListener('click', toggleEditMode);
+    document.getElementById('placeAgents').addEventListener('click', togglePlaceAgentsMode);
+    document.getElementById('generatorSettings').addEventListener('click', showGeneratorSettingsDialog);
+    document.getElementById('evaluatePrograms').addEventListener('click', showEvaluationDialog);
+    document.getElementById('provePrograms').addEventListener('click', showProofDialog);
+    document.getElementById('challengeMode').addEventListener('click', showChallengeDialog);
+    document.getElementById('tournamentMode').addEventListener('click', showTournamentDialog);
+    document.getElementById('submitToServer').addEventListener('click', showServerSubmitDialog);
+    
+    // Timeline event listeners
+    document.getElementById('stepBack').addEventListener('click', () => showTraceTick(traceIndex - 1));
+    document.getElementById('jumpToMeeting').addEventListener('click', () => showTraceTick(findFirstMeetingTick(runTrace)));
+    document.getElementById('timelineSlider').addEventListener('input', function() {
+        showTraceTick(parseInt(this.value));
+    });
+    
+    // Typing a seed regenerates the graph for that seed
+    document.getElementById('seedInput').addEventListener('change', function() {
+        const seed = parseSeed(this.value);
+        if (seed === null) {
+            updateSeedInput();
+            return;
+        }
+        generateNewGraph(seed);
+    });
+    
+    // Agent selector offers 1 to MAX_AGENTS agents
+    const numAgentsSelect = document.getElementById('numAgents');
+    for (let i = numAgentsSelect.options.length + 1; i <= MAX_AGENTS; i++) {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = i;
+        numAgentsSelect.appendChild(option);
+    }
     
     // Agent selector event listener
-    document.getElementById('numAgents').addEventListener('change', function() {
+    numAgentsSelect.addEventListener('change', function() {
         const numAgents = parseInt(this.value);
         updateAgentTextAreas(numAgents);
         resetAgents();
     });
     
-    // Initialize agent text areas (always show all 3)
+    // Switching the execution mode starts the run over under the new rules
+    document.getElementById('executionMode').addEventListener('change', () => {
+        updateExecutionModeNote();
+        updateProgramDiagnostics();
+        resetAgents();
+    });
+    
+    // Initialize agent text areas
     // Get initial value from dropdown (defaults to 1 if not set)
-    const initialNumAgents = parseInt(document.getElementById('numAgents').value) || 1;
+    const initialNumAgents = parseInt(numAgentsSelect.value) || 1;
     updateAgentTextAreas(initialNumAgents);
 
-    // Generate initial graph
-    generateNewGraph();
-}
-
-// Generate a new random graph with at most 33 nodes
-// Each node has at most one outgoing edge, and there is either no loop or a single loop
-function generateNewGraph() {
-    const numNodes = Math.floor(Math.random() * 33) + 1; // 1 to 33 nodes
-    const nodes = [];
-    const links = [];
-
-    // Create nodes
-    for (let i = 0; i < numNodes; i++) {
-        nodes.push({ id: i, label: `N${i}` });
-    }
+    // Open the setup from a shared link, or generate an initial graph
+    // Blind mode is restored before the first graph is drawn, so a locked competition setup never shows loops
+    blindMode = loadBlindMode();
+    updateBlindModeButton();
 
-    if (numNodes === 1) {
-        // Single node, no edges
-        graph = { nodes, links };
-        resetAgents();
-        renderGraph();
-        return;
+    if (!restoreSetupFromLink()) {
+        generateNewGraph();
     }
+    window.addEventListener('hashchange', restoreSetupFromLink);
+    detectCompetitionServer();
+}
 
-    // Create a main path structure where each node (except the last) has exactly one outgoing edge
-    for (let i = 0; i < numNodes - 1; i++) {
-        links.push({ source: i, target: i + 1 });
-    }
+// Generate and display a new random graph
+// The same seed and settings always produce the same graph; a fresh seed is picked if none is given
+function generateNewGraph(seed = randomSeed()) {
+    displayGraph(createRandomGraph(seed, generatorSettings));
+}
 
-    // Optionally add exactly one loop (0 or 1 loop)
-    // Since each node can have at most one outgoing edge, we can only create a loop
-    // by connecting the last node (which has no outgoing edge) back to an earlier node
-    const hasLoop = Math.random() < 0.5; // 50% chance of having a loop
-    
-    if (hasLoop && numNodes >= 3) {
-        // Create a loop by connecting the last node back to an earlier node
-        // The last node (numNodes - 1) currently has no outgoing edge, so we can add one
-        const minLoopSize = Math.max(2, Math.floor(numNodes / 4)); // Minimum loop size for visibility
-        const maxTargetNode = numNodes - minLoopSize - 1; // Can't connect too close to the end
-        
-        if (maxTargetNode >= 0) {
-            // Choose a target node that creates a visible loop
-            const loopTarget = Math.floor(Math.random() * (maxTargetNode + 1));
-            
-            // Connect last node to an earlier node to create a loop
-            links.push({ source: numNodes - 1, target: loopTarget });
-        }
-    }
-    
-    // Verify constraint: each node has at most one outgoing edge
-    const outgoingCount = new Map();
-    links.forEach(link => {
-        const sourceId = link.source;
-        outgoingCount.set(sourceId, (outgoingCount.get(sourceId) || 0) + 1);
-    });
-    
-    // Ensure no node has more than one outgoing edge
-    for (const [nodeId, count] of outgoingCount.entries()) {
-        if (count > 1) {
-            console.warn(`Node ${nodeId} has ${count} outgoing edges, which violates the constraint`);
-        }
+// Make the given graph the current one and draw it with agents on their start node
+// startNodes optionally sets each agent's start node; otherwise start nodes that still exist are kept
+// A replay being viewed is closed, since its run belongs to the old graph
+function displayGraph(newGraph, startNodes) {
+    if (replay) {
+        closeReplay();
     }
-
-    graph = { nodes, links };
+    graph = newGraph;
+    updateSeedInput();
     
     // Render the graph first
     renderGraph();
+    updateAgentStartOptions(startNodes);
     
     // Reset agents after graph is rendered
     resetAgents();
 }
 
+// Show the current graph's seed (empty for graphs that were not generated from one)
+function updateSeedInput() {
+    const seedInput = document.getElementById('seedInput');
+    seedInput.value = graph && graph.seed !== undefined ? String(graph.seed) : '';
+}
+
 // Render the graph using D3.js with directed edges and non-crossing layout
 function renderGraph() {
     if (!graph || !svg) return;
@@ -202,24 +297,9 @@ function renderGraph() {
         node.y = y;
     });
 
-    // Identify forward edges (source.id < target.id) and backward edges (cycles/loops)
-    let hasLoop = false;
-    let loopEdge = null;
-    graph.links.forEach(link => {
-        const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
-        const targetId = typeof link.target === 'object' ? link.target.id : link.target;
-        link.isForward = sourceId < targetId;
-        link.isBackward = sourceId > targetId;
-        
-        if (link.isBackward) {
-            hasLoop = true;
-            loopEdge = link;
-        }
-    });
-    
-    // Store loop information in graph for use in edge routing
-    graph.hasLoop = hasLoop;
-    graph.loopEdge = loopEdge;
+    // Identify loop edges by walking the graph from the agents' start nodes (node numbering doesn't matter)
+    // Stores loop information in graph for use in edge routing; resetAgents redoes it when start nodes change
+    classifyGraphEdges(graph, getAgentStartNodes());
 
     // Create force simulation with constraints to maintain snake layout and keep within bounds
     const nodeRadius = 20;
@@ -271,17 +351,8 @@ function renderGraph() {
 
     // Separate forward and backward (loop) edges to draw them in order
     // Forward edges first, then loop edges on top
-    const forwardLinks = graph.links.filter(link => {
-        const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
-        const targetId = typeof link.target === 'object' ? link.target.id : link.target;
-        return sourceId < targetId;
-    });
-    
-    const loopLinks = graph.links.filter(link => {
-        const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
-        const targetId = typeof link.target === 'object' ? link.target.id : link.target;
-        return sourceId > targetId;
-    });
+    const forwardLinks = graph.links.filter(link => link.isForward);
+    const loopLinks = graph.links.filter(link => link.isBackward);
     
     // Draw forward edges first (they'll be underneath)
     const forwardEdges = svg.append('g')
@@ -323,6 +394,10 @@ function renderGraph() {
         .attr('fill', 'none')
         .attr('stroke', '#9932cc') // Purple color
         .attr('stroke-width', 2.5); // Slightly thicker for visibility
+    updateEdgeStyles();
+
+    // Agent trails go above the edges they follow but below the nodes
+    svg.append('g').attr('class', 'trails');
 
     // Draw nodes
     const nodeGroups = svg.append('g')
@@ -342,19 +417,32 @@ function renderGraph() {
         .text(d => d.label);
 
     // Add drag behavior to nodes
+    // In edit mode, dragging from a node draws its outgoing edge instead
     const drag = d3.drag()
         .on('start', function(event, d) {
+            if (isEditing) {
+                startEdgeDrag(d);
+                return;
+            }
             if (!event.active) simulation.alphaTarget(0.3).restart();
             d.fx = d.x;
             d.fy = d.y;
         })
         .on('drag', function(event, d) {
+            if (isEditing) {
+                updateEdgeDrag(d, event);
+                return;
+            }
             // Constrain dragging to visible area
             const nodeRadius = 20;
             d.fx = Math.max(nodeRadius, Math.min(width - nodeRadius, event.x));
             d.fy = Math.max(nodeRadius, Math.min(height - nodeRadius, event.y));
         })
         .on('end', function(event, d) {
+            if (isEditing) {
+                finishEdgeDrag(d, event);
+                return;
+            }
             if (!event.active) simulation.alphaTarget(0);
             // Optionally release the node to let forces take over
             // d.fx = null;
@@ -363,169 +451,316 @@ function renderGraph() {
 
     // Make nodes draggable
     nodeGroups.call(drag);
+    
+    // In edit mode, right-click deletes nodes and edges
+    nodeGroups.on('contextmenu', (event, d) => {
+        if (!isEditing) return;
+        event.preventDefault();
+        removeGraphNode(d.id);
+    });
+    svg.selectAll('.edge').on('contextmenu', (event, d) => {
+        if (!isEditing) return;
+        event.preventDefault();
+        removeGraphEdge(d);
+    });
+    
+    // While placing agents, clicking a node makes it the next agent's start node
+    nodeGroups.on('click', (event, d) => {
+        if (placingAgentId === null) return;
+        placeAgentAt(d.id);
+    });
 
     // Update positions on simulation tick
     simulation.on('tick', () => {
-        // Update forward edges
-        forwardEdges.attr('d', d => {
-            const source = typeof d.source === 'object' ? d.source : graph.nodes.find(n => n.id === d.source);
-            const target = typeof d.target === 'object' ? d.target : graph.nodes.find(n => n.id === d.target);
-            
-            if (!source || !target || source.x === undefined || target.x === undefined) return '';
-            
-            const sourceId = source.id;
-            const targetId = target.id;
-            const dx = target.x - source.x;
-            const dy = target.y - source.y;
-            const dr = Math.sqrt(dx * dx + dy * dy);
-            
-            if (dr < 1) return ''; // Avoid division by zero
-            
-            // Determine if this is a forward or backward edge
-            const isForward = sourceId < targetId;
-            const isAdjacent = Math.abs(sourceId - targetId) === 1;
-            
-            // Check if edge crosses row boundaries
-            const params = graph.layoutParams;
-            const sourceRow = Math.floor(sourceId / params.nodesPerRow);
-            const targetRow = Math.floor(targetId / params.nodesPerRow);
-            const crossesRow = sourceRow !== targetRow;
-            
-            // Calculate offsets from node centers
-            // Start point: offset from source node center
-            // End point: exactly at target node edge (where arrowhead will touch)
-            const nodeRadius = 20;
-            const startOffsetX = (dx / dr) * nodeRadius;
-            const startOffsetY = (dy / dr) * nodeRadius;
-            const endOffsetX = (dx / dr) * nodeRadius;
-            const endOffsetY = (dy / dr) * nodeRadius;
-            
-            // Forward edges only (loops are handled separately)
-            // Ensure control points stay within bounds
-            const safeMargin = 10;
-            const minX = nodeRadius + safeMargin;
-            const maxX = params.width - nodeRadius - safeMargin;
-            const minY = nodeRadius + safeMargin;
-            const maxY = params.height - nodeRadius - safeMargin;
-            
-            if (isAdjacent && !crossesRow) {
-                // Forward adjacent edge in same row - straight line (main path)
-                // Clamp endpoints to ensure they're within bounds
-                const startX = Math.max(minX, Math.min(maxX, source.x + startOffsetX));
-                const startY = Math.max(minY, Math.min(maxY, source.y + startOffsetY));
-                const endX = Math.max(minX, Math.min(maxX, target.x - endOffsetX));
-                const endY = Math.max(minY, Math.min(maxY, target.y - endOffsetY));
-                return `M ${startX} ${startY} L ${endX} ${endY}`;
-            } else if (crossesRow) {
-                // Edge that crosses rows - use smooth curve with intermediate point
-                const midX = (source.x + target.x) / 2;
-                const midY = (source.y + target.y) / 2;
-                // Add curve to make row transition smooth
-                const curveOffset = Math.abs(sourceRow - targetRow) * 20;
-                const controlX = Math.max(minX, Math.min(maxX, midX));
-                const controlY = Math.max(minY, Math.min(maxY, midY - curveOffset));
-                
-                const startX = Math.max(minX, Math.min(maxX, source.x + startOffsetX));
-                const startY = Math.max(minY, Math.min(maxY, source.y + startOffsetY));
-                const endX = Math.max(minX, Math.min(maxX, target.x - endOffsetX));
-                const endY = Math.max(minY, Math.min(maxY, target.y - endOffsetY));
-                
-                return `M ${startX} ${startY} Q ${controlX} ${controlY} ${endX} ${endY}`;
-            } else {
-                // Forward non-adjacent edge in same row - slight curve
-                const midX = (source.x + target.x) / 2;
-                const midY = (source.y + target.y) / 2;
-                const curveOffset = Math.min(25, Math.abs(dx) * 0.08);
-                const controlX = Math.max(minX, Math.min(maxX, midX));
-                const controlY = Math.max(minY, Math.min(maxY, midY - curveOffset));
-                
-                const startX = Math.max(minX, Math.min(maxX, source.x + startOffsetX));
-                const startY = Math.max(minY, Math.min(maxY, source.y + startOffsetY));
-                const endX = Math.max(minX, Math.min(maxX, target.x - endOffsetX));
-                const endY = Math.max(minY, Math.min(maxY, target.y - endOffsetY));
-                
-                return `M ${startX} ${startY} Q ${controlX} ${controlY} ${endX} ${endY}`;
-            }
-        });
-        
-        // Update loop edges - use shortest path with smooth curves (can cross other edges)
-        loopEdges.attr('d', d => {
-            const source = typeof d.source === 'object' ? d.source : graph.nodes.find(n => n.id === d.source);
-            const target = typeof d.target === 'object' ? d.target : graph.nodes.find(n => n.id === d.target);
-            
-            if (!source || !target || source.x === undefined || target.x === undefined) return '';
-            
-            const params = graph.layoutParams;
-            
-            // Calculate offsets from node centers
-            const dx = target.x - source.x;
-            const dy = target.y - source.y;
-            const dr = Math.sqrt(dx * dx + dy * dy);
-            
-            if (dr < 1) return '';
-            
-            const nodeRadius = 20;
-            // Start point: offset from source node center
-            const offsetX = (dx / dr) * nodeRadius;
-            const offsetY = (dy / dr) * nodeRadius;
-            // End point: exactly at target node edge (where arrowhead will touch)
-            const endOffsetX = (dx / dr) * nodeRadius;
-            const endOffsetY = (dy / dr) * nodeRadius;
-            
-            // Calculate bounds for safety
-            const safeMargin = 10;
-            const minX = nodeRadius + safeMargin;
-            const maxX = params.width - nodeRadius - safeMargin;
-            const minY = nodeRadius + safeMargin;
-            const maxY = params.height - nodeRadius - safeMargin;
-            
-            // Clamp start and end points to bounds
-            const startX = Math.max(minX, Math.min(maxX, source.x + offsetX));
-            const startY = Math.max(minY, Math.min(maxY, source.y + offsetY));
-            // End point should be exactly at the target node's edge
-            const endX = Math.max(minX, Math.min(maxX, target.x - endOffsetX));
-            const endY = Math.max(minY, Math.min(maxY, target.y - endOffsetY));
-            
-            // For shortest path, use a smooth curve that goes directly from source to target
-            // Use a cubic Bezier curve with control points that create a smooth arc
-            // The arc height is proportional to the distance but keeps the path relatively direct
-            const midX = (startX + endX) / 2;
-            const midY = (startY + endY) / 2;
-            
-            // Calculate a smooth curve - use a slight arc to make it visually appealing
-            // but keep it close to the direct line for shortest path
-            const arcHeight = Math.min(30, dr * 0.1); // Small arc, proportional to distance
-            
-            // Determine arc direction based on which side gives a smoother curve
-            // For backward edges (loops), curve slightly to avoid looking too straight
-            const arcDirection = dy < 0 ? -1 : 1; // Curve up if going down, down if going up
-            
-            // Control points for smooth cubic Bezier curve
-            const cp1x = startX + (midX - startX) * 0.5;
-            const cp1y = startY + (midY - startY) * 0.5 + (arcHeight * arcDirection * 0.3);
-            const cp2x = midX + (endX - midX) * 0.5;
-            const cp2y = midY + (endY - midY) * 0.5 + (arcHeight * arcDirection * 0.3);
-            
-            // Ensure control points stay within bounds
-            const safeCp1x = Math.max(minX, Math.min(maxX, cp1x));
-            const safeCp1y = Math.max(minY, Math.min(maxY, cp1y));
-            const safeCp2x = Math.max(minX, Math.min(maxX, cp2x));
-            const safeCp2y = Math.max(minY, Math.min(maxY, cp2y));
-            
-            // Create smooth curved path (shortest path with slight curve for aesthetics)
-            return `M ${startX} ${startY} C ${safeCp1x} ${safeCp1y}, ${safeCp2x} ${safeCp2y}, ${endX} ${endY}`;
-        });
+        forwardEdges.attr('d', edgePath);
+        loopEdges.attr('d', edgePath);
 
         nodeGroups
             .attr('transform', d => `translate(${d.x},${d.y})`);
 
-        updateAgents();
+        // Agents being animated are redrawn when their animation ends
+        if (!agentAnimationTimer) {
+            updateAgents();
+        }
     });
 
     // Store node groups for agent rendering
     graph.nodeGroups = nodeGroups;
 }
 
+// Toggle the graph editor on the canvas
+// Nodes are pinned in place while editing so the layout doesn't shift under the pointer
+function toggleEditMode() {
+    isEditing = !isEditing;
+    
+    if (isEditing) {
+        stopPlacingAgents();
+        if (isProgressing) {
+            stopProgressing();
+        }
+        if (graph) {
+            graph.nodes.forEach(node => {
+                node.fx = node.x;
+                node.fy = node.y;
+            });
+        }
+    }
+    
+    document.getElementById('editGraph').classList.toggle('active', isEditing);
+    document.getElementById('graphContainer').classList.toggle('editing', isEditing);
+}
+
+// Apply an edit to the current graph and redraw it
+// Loop status and edge classification are recomputed by renderGraph
+function applyGraphEdit(edit) {
+    if (!graph) return;
+    edit();
+    delete graph.seed; // The edited graph no longer matches its seed
+    displayGraph(graph);
+}
+
+// Add a node at the given canvas position
+function addGraphNode(x, y) {
+    applyGraphEdit(() => {
+        const id = graph.nodes.reduce((maxId, node) => Math.max(maxId, node.id), -1) + 1;
+        graph.nodes.push({ id, label: `N${id}`, x, y, fx: x, fy: y });
+    });
+}
+
+// Create or retarget the single outgoing edge of a node
+function setOutgoingEdge(sourceId, targetId) {
+    applyGraphEdit(() => {
+        graph.links = graph.links.filter(link => linkEndpointId(link.source) !== sourceId);
+        graph.links.push({ source: sourceId, target: targetId });
+    });
+}
+
+// Delete a node and every edge touching it (the start node can't be deleted)
+function removeGraphNode(nodeId) {
+    if (nodeId === 0) return;
+    applyGraphEdit(() => {
+        graph.nodes = graph.nodes.filter(node => node.id !== nodeId);
+        graph.links = graph.links.filter(link =>
+            linkEndpointId(link.source) !== nodeId && linkEndpointId(link.target) !== nodeId
+        );
+    });
+}
+
+// Delete a single edge
+function removeGraphEdge(edge) {
+    applyGraphEdit(() => {
+        graph.links = graph.links.filter(link => link !== edge);
+    });
+}
+
+// Start drawing an edge from a node
+function startEdgeDrag(node) {
+    node.edgeDragLeftNode = false;
+    svg.append('line')
+        .attr('class', 'edit-connector')
+        .attr('x1', node.x)
+        .attr('y1', node.y)
+        .attr('x2', node.x)
+        .attr('y2', node.y);
+}
+
+// Follow the pointer while drawing an edge
+function updateEdgeDrag(node, event) {
+    const nodeRadius = 20;
+    if (Math.hypot(node.x - event.x, node.y - event.y) > nodeRadius) {
+        node.edgeDragLeftNode = true;
+    }
+    svg.select('.edit-connector')
+        .attr('x2', event.x)
+        .attr('y2', event.y);
+}
+
+// Finish drawing an edge: connect to the node under the pointer, if any
+// Dragging out of a node and back onto it creates a self-loop; a plain click does nothing
+function finishEdgeDrag(node, event) {
+    svg.select('.edit-connector').remove();
+    
+    const nodeRadius = 20;
+    const target = graph.nodes.find(n =>
+        (n !== node || node.edgeDragLeftNode) && Math.hypot(n.x - event.x, n.y - event.y) <= nodeRadius
+    );
+    delete node.edgeDragLeftNode;
+    if (target) {
+        setOutgoingEdge(node.id, target.id);
+    }
+}
+
+// Route an ordinary edge: straight between neighbours in a row, gently curved otherwise
+function forwardEdgePath(d) {
+    const source = typeof d.source === 'object' ? d.source : graph.nodes.find(n => n.id === d.source);
+    const target = typeof d.target === 'object' ? d.target : graph.nodes.find(n => n.id === d.target);
+    
+    if (!source || !target || source.x === undefined || target.x === undefined) return '';
+    if (source === target) return selfLoopPath(source);
+    
+    const sourceId = source.id;
+    const targetId = target.id;
+    const dx = target.x - source.x;
+    const dy = target.y - source.y;
+    const dr = Math.sqrt(dx * dx + dy * dy);
+    
+    if (dr < 1) return ''; // Avoid division by zero
+    
+    // Determine if this is a forward or backward edge
+    const isForward = sourceId < targetId;
+    const isAdjacent = Math.abs(sourceId - targetId) === 1;
+    
+    // Check if edge crosses row boundaries
+    const params = graph.layoutParams;
+    const sourceRow = Math.floor(sourceId / params.nodesPerRow);
+    const targetRow = Math.floor(targetId / params.nodesPerRow);
+    const crossesRow = sourceRow !== targetRow;
+    
+    // Calculate offsets from node centers
+    // Start point: offset from source node center
+    // End point: exactly at target node edge (where arrowhead will touch)
+    const nodeRadius = 20;
+    const startOffsetX = (dx / dr) * nodeRadius;
+    const startOffsetY = (dy / dr) * nodeRadius;
+    const endOffsetX = (dx / dr) * nodeRadius;
+    const endOffsetY = (dy / dr) * nodeRadius;
+    
+    // Ensure control points stay within bounds
+    const safeMargin = 10;
+    const minX = nodeRadius + safeMargin;
+    const maxX = params.width - nodeRadius - safeMargin;
+    const minY = nodeRadius + safeMargin;
+    const maxY = params.height - nodeRadius - safeMargin;
+    
+    if (isAdjacent && !crossesRow) {
+        // Forward adjacent edge in same row - straight line (main path)
+        // Clamp endpoints to ensure they're within bounds
+        const startX = Math.max(minX, Math.min(maxX, source.x + startOffsetX));
+        const startY = Math.max(minY, Math.min(maxY, source.y + startOffsetY));
+        const endX = Math.max(minX, Math.min(maxX, target.x - endOffsetX));
+        const endY = Math.max(minY, Math.min(maxY, target.y - endOffsetY));
+        return `M ${startX} ${startY} L ${endX} ${endY}`;
+    } else if (crossesRow) {
+        // Edge that crosses rows - use smooth curve with intermediate point
+        const midX = (source.x + target.x) / 2;
+        const midY = (source.y + target.y) / 2;
+        // Add curve to make row transition smooth
+        const curveOffset = Math.abs(sourceRow - targetRow) * 20;
+        const controlX = Math.max(minX, Math.min(maxX, midX));
+        const controlY = Math.max(minY, Math.min(maxY, midY - curveOffset));
+        
+        const startX = Math.max(minX, Math.min(maxX, source.x + startOffsetX));
+        const startY = Math.max(minY, Math.min(maxY, source.y + startOffsetY));
+        const endX = Math.max(minX, Math.min(maxX, target.x - endOffsetX));
+        const endY = Math.max(minY, Math.min(maxY, target.y - endOffsetY));
+        
+        return `M ${startX} ${startY} Q ${controlX} ${controlY} ${endX} ${endY}`;
+    } else {
+        // Forward non-adjacent edge in same row - slight curve
+        const midX = (source.x + target.x) / 2;
+        const midY = (source.y + target.y) / 2;
+        const curveOffset = Math.min(25, Math.abs(dx) * 0.08);
+        const controlX = Math.max(minX, Math.min(maxX, midX));
+        const controlY = Math.max(minY, Math.min(maxY, midY - curveOffset));
+        
+        const startX = Math.max(minX, Math.min(maxX, source.x + startOffsetX));
+        const startY = Math.max(minY, Math.min(maxY, source.y + startOffsetY));
+        const endX = Math.max(minX, Math.min(maxX, target.x - endOffsetX));
+        const endY = Math.max(minY, Math.min(maxY, target.y - endOffsetY));
+        
+        return `M ${startX} ${startY} Q ${controlX} ${controlY} ${endX} ${endY}`;
+    }
+}
+
+// Route an edge by its current classification
+// Hidden loop edges are routed like every other edge, so their shape gives nothing away
+function edgePath(d) {
+    return d.isBackward && !isLoopHidden() ? loopEdgePath(d) : forwardEdgePath(d);
+}
+
+// Route a loop edge: the shortest way back, on a slight arc (it may cross other edges)
+function loopEdgePath(d) {
+    const source = typeof d.source === 'object' ? d.source : graph.nodes.find(n => n.id === d.source);
+    const target = typeof d.target === 'object' ? d.target : graph.nodes.find(n => n.id === d.target);
+    
+    if (!source || !target || source.x === undefined || target.x === undefined) return '';
+    if (source === target) return selfLoopPath(source);
+    
+    const params = graph.layoutParams;
+    
+    // Calculate offsets from node centers
+    const dx = target.x - source.x;
+    const dy = target.y - source.y;
+    const dr = Math.sqrt(dx * dx + dy * dy);
+    
+    if (dr < 1) return '';
+    
+    const nodeRadius = 20;
+    // Start point: offset from source node center
+    const offsetX = (dx / dr) * nodeRadius;
+    const offsetY = (dy / dr) * nodeRadius;
+    // End point: exactly at target node edge (where arrowhead will touch)
+    const endOffsetX = (dx / dr) * nodeRadius;
+    const endOffsetY = (dy / dr) * nodeRadius;
+    
+    // Calculate bounds for safety
+    const safeMargin = 10;
+    const minX = nodeRadius + safeMargin;
+    const maxX = params.width - nodeRadius - safeMargin;
+    const minY = nodeRadius + safeMargin;
+    const maxY = params.height - nodeRadius - safeMargin;
+    
+    // Clamp start and end points to bounds
+    const startX = Math.max(minX, Math.min(maxX, source.x + offsetX));
+    const startY = Math.max(minY, Math.min(maxY, source.y + offsetY));
+    // End point should be exactly at the target node's edge
+    const endX = Math.max(minX, Math.min(maxX, target.x - endOffsetX));
+    const endY = Math.max(minY, Math.min(maxY, target.y - endOffsetY));
+    
+    // For shortest path, use a smooth curve that goes directly from source to target
+    // Use a cubic Bezier curve with control points that create a smooth arc
+    // The arc height is proportional to the distance but keeps the path relatively direct
+    const midX = (startX + endX) / 2;
+    const midY = (startY + endY) / 2;
+    
+    // Calculate a smooth curve - use a slight arc to make it visually appealing
+    // but keep it close to the direct line for shortest path
+    const arcHeight = Math.min(30, dr * 0.1); // Small arc, proportional to distance
+    
+    // Determine arc direction based on which side gives a smoother curve
+    // For backward edges (loops), curve slightly to avoid looking too straight
+    const arcDirection = dy < 0 ? -1 : 1; // Curve up if going down, down if going up
+    
+    // Control points for smooth cubic Bezier curve
+    const cp1x = startX + (midX - startX) * 0.5;
+    const cp1y = startY + (midY - startY) * 0.5 + (arcHeight * arcDirection * 0.3);
+    const cp2x = midX + (endX - midX) * 0.5;
+    const cp2y = midY + (endY - midY) * 0.5 + (arcHeight * arcDirection * 0.3);
+    
+    // Ensure control points stay within bounds
+    const safeCp1x = Math.max(minX, Math.min(maxX, cp1x));
+    const safeCp1y = Math.max(minY, Math.min(maxY, cp1y));
+    const safeCp2x = Math.max(minX, Math.min(maxX, cp2x));
+    const safeCp2y = Math.max(minY, Math.min(maxY, cp2y));
+    
+    // Create smooth curved path (shortest path with slight curve for aesthetics)
+    return `M ${startX} ${startY} C ${safeCp1x} ${safeCp1y}, ${safeCp2x} ${safeCp2y}, ${endX} ${endY}`;
+}
+
+// Path for an edge from a node to itself: an arc over the top of the node
+// Starts and ends on the node's edge so the arrowhead touches it like any other edge
+function selfLoopPath(node) {
+    const nodeRadius = 20;
+    const loopRadius = 15;
+    const startAngle = -2 * Math.PI / 3; // Upper left
+    const endAngle = -Math.PI / 3; // Upper right
+    const startX = node.x + Math.cos(startAngle) * nodeRadius;
+    const startY = node.y + Math.sin(startAngle) * nodeRadius;
+    const endX = node.x + Math.cos(endAngle) * nodeRadius;
+    const endY = node.y + Math.sin(endAngle) * nodeRadius;
+    return `M ${startX} ${startY} A ${loopRadius} ${loopRadius} 0 1 1 ${endX} ${endY}`;
+}
+
 // Update graph display (when window resizes)
 function updateGraph() {
     if (!graph || !simulation) return;
@@ -539,12 +774,11 @@ function updateGraph() {
 }
 
 // Update agent text areas based on selected number
-// Always shows all 3 text areas, but disables/greys out unused ones
+// Creates an editor for each active agent and removes the editors of agents no longer in use
 function updateAgentTextAreas(numAgents) {
     const container = document.getElementById('agentTextAreas');
     
-    // Always create/update all 3 text areas
-    for (let i = 0; i < 3; i++) {
+    for (let i = 0; i < numAgents; i++) {
         let textareaContainer = document.getElementById(`agentTextAreaContainer${i}`);
         
         // Create container if it doesn't exist
@@ -559,16 +793,18 @@ function updateAgentTextAreas(numAgents) {
             
             const textarea = document.createElement('textarea');
             textarea.id = `agentTextArea${i}`;
-            textarea.placeholder = `Enter instructions for Agent ${i + 1} (e.g., SSS, N, SS, CS, L)`;
-            textarea.maxLength = 10;
+            textarea.placeholder = `Enter instructions for Agent ${i + 1} (e.g., SSS, N, SS, CS, L, SJ)`;
+            textarea.maxLength = getMaxProgramLength();
+            textarea.style.borderColor = getAgentColor(i);
             
-            // Only allow S, N, C, and L characters
+            // Only allow instruction characters (S, N, C, L and J)
             textarea.addEventListener('input', function(e) {
                 const value = e.target.value.toUpperCase();
-                const filtered = value.replace(/[^SNCL]/g, '');
+                const filtered = normalizeProgram(value);
                 if (value !== filtered) {
                     e.target.value = filtered;
                 }
+                updateProgramDiagnostics();
             });
             
             // Convert to uppercase on blur
@@ -576,68 +812,181 @@ function updateAgentTextAreas(numAgents) {
                 e.target.value = e.target.value.toUpperCase();
             });
             
+            // Start node of the agent, chosen from the current graph's nodes
+            const startSelect = document.createElement('select');
+            startSelect.id = `agentStart${i}`;
+            startSelect.className = 'agent-start';
+            startSelect.title = `Start node of Agent ${i + 1}`;
+            startSelect.addEventListener('change', resetAgents);
+            
+            // Warnings about the program, each with a quick-fix, shown under the editor
+            const lint = document.createElement('div');
+            lint.id = `agentLint${i}`;
+            lint.className = 'program-lint';
+            
+            // The linter and the debugger mark characters on a layer behind the text, laid out exactly like it
+            const editor = document.createElement('div');
+            editor.className = 'program-editor';
+            const highlight = document.createElement('div');
+            highlight.id = `agentHighlight${i}`;
+            highlight.className = 'program-highlight';
+            highlight.setAttribute('aria-hidden', 'true');
+            editor.appendChild(highlight);
+            editor.appendChild(textarea);
+            
             textareaContainer.appendChild(label);
-            textareaContainer.appendChild(textarea);
+            textareaContainer.appendChild(editor);
+            textareaContainer.appendChild(startSelect);
+            textareaContainer.appendChild(lint);
             container.appendChild(textareaContainer);
         }
-        
-        const textarea = document.getElementById(`agentTextArea${i}`);
-        const isActive = i < numAgents;
-        
-        // Enable/disable based on selection
-        textarea.disabled = !isActive;
-        
-        // Update styling based on active state
-        if (isActive) {
-            textarea.style.borderColor = AGENT_COLORS[i];
-            textarea.style.opacity = '1';
-            textarea.style.cursor = 'text';
-            textarea.style.backgroundColor = '#222222';
-        } else {
-            textarea.style.borderColor = '#555555'; // Grey border
-            textarea.style.opacity = '0.5';
-            textarea.style.cursor = 'not-allowed';
-            textarea.style.backgroundColor = '#1a1a1a';
-            textarea.value = ''; // Clear value when disabled
-        }
     }
+    
+    // Editors of agents beyond the selected number are dropped along with their programs
+    for (let i = numAgents; ; i++) {
+        const textareaContainer = document.getElementById(`agentTextAreaContainer${i}`);
+        if (!textareaContainer) break;
+        container.removeChild(textareaContainer);
+    }
+    
+    // Many editors are laid out in two columns
+    container.classList.toggle('many', numAgents > 3);
+    updateAgentStartOptions();
+    updateProgramDiagnostics();
+}
+
+// Fill every agent's start node dropdown with the current graph's nodes
+// Keeps each agent's selection while its node exists (or applies startNodes if given), otherwise node 0
+function updateAgentStartOptions(startNodes) {
+    if (!graph) return;
+    const nodes = graph.nodes.slice().sort((a, b) => a.id - b.id);
+    document.querySelectorAll('.agent-start').forEach((select, index) => {
+        const wanted = startNodes ? startNodes[index] : parseInt(select.value);
+        select.innerHTML = '';
+        nodes.forEach(node => {
+            const option = document.createElement('option');
+            option.value = node.id;
+            option.textContent = `Start: ${node.label || `N${node.id}`}`;
+            select.appendChild(option);
+        });
+        select.value = nodes.some(node => node.id === wanted) ? wanted : 0;
+    });
+}
+
+// Get the start node of every active agent, in agent order
+function getAgentStartNodes() {
+    return Array.from(document.querySelectorAll('.agent-start'), select => parseInt(select.value) || 0);
+}
+
+// Toggle "place agents" mode: clicking nodes sets the start nodes of agent 1, 2, ... in turn
+function togglePlaceAgentsMode() {
+    if (placingAgentId !== null) {
+        stopPlacingAgents();
+        return;
+    }
+    if (isEditing) {
+        toggleEditMode();
+    }
+    if (isProgressing) {
+        stopProgressing();
+    }
+    placingAgentId = 0;
+    updatePlacingHighlight();
+}
+
+// Set the start node of the agent being placed and move on to the next agent
+function placeAgentAt(nodeId) {
+    const select = document.getElementById(`agentStart${placingAgentId}`);
+    if (select) {
+        select.value = nodeId;
+    }
+    placingAgentId++;
+    if (placingAgentId >= document.querySelectorAll('.agent-start').length) {
+        stopPlacingAgents();
+    } else {
+        updatePlacingHighlight();
+    }
+    resetAgents();
+}
+
+// Leave "place agents" mode
+function stopPlacingAgents() {
+    placingAgentId = null;
+    updatePlacingHighlight();
+}
+
+// Highlight the button and the editor of the agent whose start node is being placed
+function updatePlacingHighlight() {
+    document.getElementById('placeAgents').classList.toggle('active', placingAgentId !== null);
+    document.getElementById('graphContainer').classList.toggle('placing', placingAgentId !== null);
+    document.querySelectorAll('.agent-textarea-container').forEach((container, index) => {
+        container.classList.toggle('placing', index === placingAgentId);
+    });
+}
+
+// Get the color of an agent
+// The first agents use AGENT_COLORS; later ones get a color from EXTRA_AGENT_SHADES, darker for every round
+// through the list should there ever be more agents than shades
+function getAgentColor(agentId) {
+    if (agentId < AGENT_COLORS.length) {
+        return AGENT_COLORS[agentId];
+    }
+    const extra = agentId - AGENT_COLORS.length;
+    const [hue, lightness] = EXTRA_AGENT_SHADES[extra % EXTRA_AGENT_SHADES.length];
+    const round = Math.floor(extra / EXTRA_AGENT_SHADES.length);
+    return d3.hsl(hue, 1, Math.max(0.2, lightness - 0.15 * round)).formatHex();
 }
 
-// Reset all agents to the starting node (node 0)
+// Reset all agents to their start nodes
+// A replay is rewound to its first tick instead
 function resetAgents() {
     if (!graph || graph.nodes.length === 0) return;
+    if (replay) {
+        showTraceTick(0);
+        return;
+    }
 
     // Get number of agents from dropdown
     const numAgentsSelect = document.getElementById('numAgents');
     const numAgents = numAgentsSelect ? parseInt(numAgentsSelect.value) : 1;
-    const actualNumAgents = Math.min(5, Math.max(1, numAgents)); // Ensure 1-5 range
-    
-    agents = [];
+    const actualNumAgents = Math.min(MAX_AGENTS, Math.max(1, numAgents)); // Ensure 1-MAX_AGENTS range
     
     // Stop any ongoing progression
     if (isProgressing) {
         stopProgressing();
     }
-    
-    for (let i = 0; i < actualNumAgents; i++) {
-        agents.push({
-            id: i,
-            currentNode: 0,
-            color: AGENT_COLORS[i],
-            path: [0], // Track path for potential future use
-            finished: false
-        });
+    if (debugMode) {
+        debugMode.session = null;
+        debugMode.paused = null;
+        renderDebugBreakpointForm();
     }
+    
+    runState = createSimulationState(graph, actualNumAgents, {
+        mode: getExecutionMode(),
+        startNodes: getAgentStartNodes()
+    });
+    // Loop edges are the ones the verdict counts: closing a cycle reachable from an agent's start node
+    classifyGraphEdges(graph, runState.startNodes);
+    updateEdgeStyles();
+    runTrace = [{ state: runState, events: null }];
+    traceIndex = 0;
 
     updateAgents();
+    updateTimeline();
 }
 
 // Update agent visualization
 function updateAgents() {
-    if (!graph || !graph.nodeGroups || agents.length === 0) return;
+    if (!graph || !graph.nodeGroups || !runState) return;
+    const agents = runState.agents;
 
-    // Remove existing agent indicators
-    svg.selectAll('.agent').remove();
+    updateTrails();
+    updateHeatmap();
+
+    // Remove existing agent indicators (and any move animation still running)
+    clearTimeout(agentAnimationTimer);
+    agentAnimationTimer = null;
+    svg.selectAll('.agent').interrupt().remove();
 
     // Group agents by node
     const agentsByNode = {};
@@ -655,6 +1004,8 @@ function updateAgents() {
         const node = graph.nodes.find(n => n.id === parseInt(nodeId));
         if (!node || node.x === undefined || node.y === undefined) return;
 
+        const agentNames = nodeAgents.map(agent => `Agent ${agent.id + 1}`).join(', ');
+
         if (nodeAgents.length === 1) {
             // Single agent - render as colored circle
             svg.append('circle')
@@ -662,12 +1013,14 @@ function updateAgents() {
                 .attr('cx', node.x)
                 .attr('cy', node.y)
                 .attr('r', 12)
-                .attr('fill', nodeAgents[0].color)
+                .attr('fill', getAgentColor(nodeAgents[0].id))
                 .attr('stroke', '#ffffff')
-                .attr('stroke-width', 2);
+                .attr('stroke-width', 2)
+                .append('title')
+                .text(agentNames);
         } else {
             // Multiple agents - mix colors and render
-            const mixedColor = mixColors(nodeAgents.map(a => a.color));
+            const mixedColor = mixColors(nodeAgents.map(a => getAgentColor(a.id)));
             
             // Render main mixed color circle
             svg.append('circle')
@@ -677,27 +1030,126 @@ function updateAgents() {
                 .attr('r', 15)
                 .attr('fill', mixedColor)
                 .attr('stroke', '#ffffff')
-                .attr('stroke-width', 2);
+                .attr('stroke-width', 2)
+                .append('title')
+                .text(agentNames);
+
+            // With many agents the mixed color says little, so show how many share the node
+            if (nodeAgents.length > 3) {
+                svg.append('text')
+                    .attr('class', 'agent agent-count')
+                    .attr('x', node.x)
+                    .attr('y', node.y)
+                    .attr('text-anchor', 'middle')
+                    .attr('dominant-baseline', 'central')
+                    .text(nodeAgents.length);
+            }
 
             // Render individual agent indicators around the node
+            // Each indicator needs its drawn width (radius 6 plus the 1px stroke, both sides) and a small gap
+            // along the ring; once that no longer fits around the default ring, the ring widens
+            const markerSpacing = 2 * (6 + 1) + 4;
+            const ringRadius = Math.max(25, (nodeAgents.length * markerSpacing) / (2 * Math.PI));
             const angleStep = (2 * Math.PI) / nodeAgents.length;
             nodeAgents.forEach((agent, index) => {
-                const angle = index * angleStep;
-                const offsetX = Math.cos(angle) * 25;
-                const offsetY = Math.sin(angle) * 25;
+                const angle = index * angleStep - Math.PI / 2;
+                const offsetX = Math.cos(angle) * ringRadius;
+                const offsetY = Math.sin(angle) * ringRadius;
                 svg.append('circle')
                     .attr('class', 'agent')
                     .attr('cx', node.x + offsetX)
                     .attr('cy', node.y + offsetY)
                     .attr('r', 6)
-                    .attr('fill', agent.color)
+                    .attr('fill', getAgentColor(agent.id))
                     .attr('stroke', '#ffffff')
-                    .attr('stroke-width', 1);
+                    .attr('stroke-width', 1)
+                    .append('title')
+                    .text(`Agent ${agent.id + 1}`);
             });
         }
     });
 }
 
+// Draw each agent's most recent hops as a trail that fades with age
+// Trails of different agents are shifted slightly so they stay visible where they overlap
+function updateTrails() {
+    const layer = svg.select('.trails');
+    layer.selectAll('*').remove();
+    if (!showTrails || !runState) return;
+
+    const agentCount = runState.agents.length;
+    runState.agents.forEach(agent => {
+        const hops = getAgentPath(agent, TRAIL_LENGTH + 1);
+        const shift = (agent.id - (agentCount - 1) / 2) * 3;
+        for (let i = 1; i < hops.length; i++) {
+            const age = hops.length - 1 - i; // 0 for the latest hop
+            layer.append('path')
+                .attr('class', 'trail')
+                .attr('d', trailSegmentPath(hops[i - 1], hops[i]))
+                .attr('transform', `translate(${shift},${shift})`)
+                .attr('stroke', getAgentColor(agent.id))
+                .attr('stroke-opacity', 0.9 * (1 - age / TRAIL_LENGTH));
+        }
+    });
+}
+
+// Path of a trail segment: the drawn edge between the nodes, or a straight line if there is none
+function trailSegmentPath(sourceId, targetId) {
+    const edgePath = svg.selectAll('.edge')
+        .filter(d => linkEndpointId(d.source) === sourceId && linkEndpointId(d.target) === targetId)
+        .node();
+    if (edgePath && edgePath.getAttribute('d')) {
+        return edgePath.getAttribute('d');
+    }
+    const source = graph.nodes.find(n => n.id === sourceId);
+    const target = graph.nodes.find(n => n.id === targetId);
+    if (!source || !target) return '';
+    return `M ${source.x} ${source.y} L ${target.x} ${target.y}`;
+}
+
+// Tint nodes by how often agents entered them, with per-agent counts in the node's tooltip
+function updateHeatmap() {
+    const nodeGroups = graph.nodeGroups;
+    if (!showHeatmap || !runState) {
+        nodeGroups.select('.node-circle').style('fill', null);
+        nodeGroups.select('title.visit-count').remove();
+        return;
+    }
+
+    const visits = countNodeVisits(runState);
+    const totals = new Map(Array.from(visits, ([nodeId, counts]) => [nodeId, d3.sum(counts)]));
+    const maxVisits = d3.max(Array.from(totals.values())) || 1;
+
+    nodeGroups.select('.node-circle').style('fill', d => {
+        const total = totals.get(d.id) || 0;
+        return total > 0 ? d3.interpolateOrRd(0.3 + 0.7 * (total / maxVisits)) : null;
+    });
+    nodeGroups.each(function(d) {
+        const group = d3.select(this);
+        let title = group.select('title.visit-count');
+        if (title.empty()) {
+            title = group.append('title').attr('class', 'visit-count');
+        }
+        const counts = visits.get(d.id) || runState.agents.map(() => 0);
+        const perAgent = counts.map((count, agentId) => `Agent ${agentId + 1}: ${count}`);
+        title.text([`${d.label || `N${d.id}`}: ${d3.sum(counts)} visit(s)`, ...perAgent].join('\n'));
+    });
+}
+
+// Toggle the agent trail overlay
+function toggleTrails() {
+    showTrails = !showTrails;
+    document.getElementById('showTrails').classList.toggle('active', showTrails);
+    updateAgents();
+}
+
+// Toggle the node visit heatmap
+function toggleHeatmap() {
+    showHeatmap = !showHeatmap;
+    document.getElementById('showHeatmap').classList.toggle('active', showHeatmap);
+    updateAgents();
+}
+
 // Mix multiple colors (simple additive color mixing)
 function mixColors(colors) {
     if (colors.length === 0) return '#000000';
@@ -732,14 +1184,89 @@ function mixColors(colors) {
     }).join('')}`;
 }
 
-// Step agents once (single progression)
-function stepAgentsOnce() {
-    if (!graph || agents.length === 0) return;
+// Animate agents along the edges they took during a tick, hop by hop, then draw them at rest
+// Rounds of the tick play one after another, and agents moving in the same round move together
+function animateAgentMoves(fromState, events, duration) {
+    const rounds = Array.from(new Set(events.moves.map(move => move.round))).sort((a, b) => a - b);
+    if (rounds.length === 0 || !graph.nodeGroups) {
+        updateAgents();
+        return;
+    }
     
-    // Progress agents one time only
-    progressAgents();
-}
-
+    clearTimeout(agentAnimationTimer);
+    svg.selectAll('.agent').interrupt().remove();
+    const roundDuration = duration / rounds.length;
+    
+    fromState.agents.forEach(agent => {
+        const startNode = graph.nodes.find(n => n.id === agent.currentNode);
+        if (!startNode) return;
+        const marker = svg.append('circle')
+            .attr('class', 'agent')
+            .attr('cx', startNode.x)
+            .attr('cy', startNode.y)
+            .attr('r', 12)
+            .attr('fill', getAgentColor(agent.id))
+            .attr('stroke', '#ffffff')
+            .attr('stroke-width', 2);
+        
+        // Chain one transition per hop; delays are relative to the end of the previous hop
+        let transition = null;
+        let elapsed = 0;
+        events.moves.filter(move => move.agentId === agent.id).forEach(move => {
+            const hopCount = move.route.length - 1;
+            const hopDuration = roundDuration / hopCount;
+            const roundStart = rounds.indexOf(move.round) * roundDuration;
+            for (let hop = 0; hop < hopCount; hop++) {
+                const hopStart = roundStart + hop * hopDuration;
+                transition = (transition ? transition.transition() : marker.transition())
+                    .delay(hopStart - elapsed)
+                    .duration(hopDuration)
+                    .ease(d3.easeLinear)
+                    .tween('hop', hopTween(move.route[hop], move.route[hop + 1]));
+                elapsed = hopStart + hopDuration;
+            }
+        });
+    });
+    
+    // Redraw with overlap indicators once every agent has arrived
+    agentAnimationTimer = setTimeout(() => {
+        agentAnimationTimer = null;
+        updateAgents();
+    }, duration);
+}
+
+// Tween moving an agent marker along the edge between two nodes
+// Follows the drawn edge path where the browser can measure it, otherwise a straight line
+function hopTween(sourceId, targetId) {
+    const source = graph.nodes.find(n => n.id === sourceId);
+    const target = graph.nodes.find(n => n.id === targetId);
+    const edgePath = svg.selectAll('.edge')
+        .filter(d => linkEndpointId(d.source) === sourceId && linkEndpointId(d.target) === targetId)
+        .node();
+    
+    return function() {
+        const marker = d3.select(this);
+        const pathLength = edgePath && typeof edgePath.getTotalLength === 'function' ? edgePath.getTotalLength() : 0;
+        return t => {
+            let point;
+            if (pathLength > 0) {
+                point = edgePath.getPointAtLength(t * pathLength);
+            } else {
+                point = { x: source.x + (target.x - source.x) * t, y: source.y + (target.y - source.y) * t };
+            }
+            marker.attr('cx', point.x).attr('cy', point.y);
+        };
+    };
+}
+
+// Step agents once (single progression)
+function stepAgentsOnce() {
+    if (!graph || !runState) return;
+    
+    // Progress agents one time only
+    progressAgents();
+}
+
 // Start progressing agents along edges
 function startProgressing() {
     if (isProgressing) {
@@ -748,540 +1275,340 @@ function startProgressing() {
         return;
     }
 
-    if (!graph || agents.length === 0) return;
+    if (!graph || !runState) return;
 
     isProgressing = true;
     document.getElementById('progressAgents').textContent = '⏸️';
     document.getElementById('progressAgents').style.backgroundColor = '#cc0000';
 
-    // Progress agents every second
-    progressInterval = setInterval(() => {
-        progressAgents();
-    }, 1000);
+    scheduleProgress();
+}
+
+// Schedule the next automatic tick at the current playback speed
+// A timeout per tick (rather than an interval) lets speed changes apply straight away
+function scheduleProgress() {
+    progressTimer = setTimeout(() => {
+        progressTimer = null;
+        if (isInstant) {
+            runInstantBatch();
+        } else {
+            progressAgents();
+        }
+        if (isProgressing) {
+            scheduleProgress();
+        }
+    }, isInstant ? 0 : getTickInterval());
 }
 
 // Stop agent progression
 function stopProgressing() {
     isProgressing = false;
-    if (progressInterval) {
-        clearInterval(progressInterval);
-        progressInterval = null;
+    if (progressTimer) {
+        clearTimeout(progressTimer);
+        progressTimer = null;
     }
     document.getElementById('progressAgents').textContent = '▶️';
     document.getElementById('progressAgents').style.backgroundColor = '#0066cc';
 }
 
-// Get instructions for an agent from its text area
-function getAgentInstructions(agentId) {
-    const textarea = document.getElementById(`agentTextArea${agentId}`);
-    if (!textarea || textarea.disabled) return '';
-    return textarea.value.toUpperCase().trim();
+// Get the selected playback speed (1 means one tick per second)
+function getPlaybackSpeed() {
+    const slider = document.getElementById('speedSlider');
+    return PLAYBACK_SPEEDS[parseInt(slider.value)] || 1;
 }
 
-// Check if there is another agent at the given node
-function hasOtherAgentAtNode(nodeId, currentAgentId) {
-    return agents.some(agent => 
-        agent.id !== currentAgentId && 
-        agent.currentNode === nodeId &&
-        !agent.finished
-    );
+// Time between automatic ticks in milliseconds
+function getTickInterval() {
+    return 1000 / getPlaybackSpeed();
 }
 
-// Parse and execute instructions for an agent
-function executeAgentInstructions(agent, instructions) {
-    if (!instructions || instructions.length === 0) return false; // No instructions = NOP
-    
-    let moved = false;
-    let currentNode = agent.currentNode;
-    
-    // Execute all instructions
-    let i = 0;
-    while (i < instructions.length) {
-        const instruction = instructions[i];
-        
-        if (instruction === 'C') {
-            // Conditional instruction - check if there is another agent at current node
-            // If condition is true (another agent present), execute the next instruction
-            // If condition is false (no other agent), skip the next instruction
-            if (i + 1 >= instructions.length) {
-                // C at end of instructions - invalid, skip
-                i++;
-                continue;
-            }
-            
-            const hasOtherAgent = hasOtherAgentAtNode(currentNode, agent.id);
-            
-            if (hasOtherAgent) {
-                // Condition is true - execute the next instruction
-                const nextInstruction = instructions[i + 1];
-                if (nextInstruction === 'S') {
-                    // Step instruction - progress one node
-                    const availableEdges = graph.links.filter(link => {
-                        const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
-                        return sourceId === currentNode;
-                    });
-                    
-                    if (availableEdges.length > 0) {
-                        // Choose a random outgoing edge
-                        const randomEdge = availableEdges[Math.floor(Math.random() * availableEdges.length)];
-                        const targetId = typeof randomEdge.target === 'object' ? randomEdge.target.id : randomEdge.target;
-                        currentNode = targetId;
-                        moved = true;
-                    }
-                }
-                // If next instruction is 'N', do nothing (NOP)
-            }
-            // If condition is false, skip the next instruction
-            
-            // Skip both C and the next instruction
-            i += 2;
-        } else if (instruction === 'S') {
-            // Step instruction - progress one node
-            const availableEdges = graph.links.filter(link => {
-                const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
-                return sourceId === currentNode;
-            });
-            
-            if (availableEdges.length === 0) {
-                // No outgoing edges - can't step further
-                i++;
-                break;
-            }
-            
-            // Choose a random outgoing edge
-            const randomEdge = availableEdges[Math.floor(Math.random() * availableEdges.length)];
-            const targetId = typeof randomEdge.target === 'object' ? randomEdge.target.id : randomEdge.target;
-            currentNode = targetId;
-            moved = true;
-            i++;
-        } else if (instruction === 'N') {
-            // 'N' (NOP) - do nothing, just continue to next instruction
-            i++;
-        } else {
-            // Unknown instruction - skip
-            i++;
-        }
-    }
-    
-    // Update agent position if it moved
-    if (moved && currentNode !== agent.currentNode) {
-        agent.currentNode = currentNode;
-        agent.path.push(currentNode);
-        return true;
-    }
-    
-    return moved;
+// Show the selected playback speed next to the slider
+function updateSpeedLabel() {
+    document.getElementById('speedLabel').textContent = `${getPlaybackSpeed()}×`;
 }
 
-// Execute a single instruction character for an agent
-function executeSingleInstruction(agent, instruction, currentNode) {
-    if (instruction === 'S') {
-        // Step instruction - progress one node
-        const availableEdges = graph.links.filter(link => {
-            const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
-            return sourceId === currentNode;
-        });
-        
-        if (availableEdges.length === 0) {
-            // No outgoing edges - can't step
-            return { moved: false, newPosition: currentNode };
-        }
-        
-        // Choose a random outgoing edge
-        const randomEdge = availableEdges[Math.floor(Math.random() * availableEdges.length)];
-        const targetId = typeof randomEdge.target === 'object' ? randomEdge.target.id : randomEdge.target;
-        return { moved: true, newPosition: targetId };
-    } else if (instruction === 'N') {
-        // NOP - do nothing
-        return { moved: false, newPosition: currentNode };
-    }
-    
-    return { moved: false, newPosition: currentNode };
+// Toggle instant mode: ticks run back to back and agents jump without animation
+function toggleInstantMode() {
+    isInstant = !isInstant;
+    document.getElementById('instantMode').classList.toggle('active', isInstant);
+    document.getElementById('speedSlider').disabled = isInstant;
+}
+
+// Get instructions for an agent from its text area
+function getAgentInstructions(agentId) {
+    const textarea = document.getElementById(`agentTextArea${agentId}`);
+    if (!textarea || textarea.disabled) return '';
+    return textarea.value.toUpperCase().trim();
 }
 
-// Progress agents along directed edges based on their instructions
+// Progress agents by one tick of the simulation engine
 // Instructions are evaluated character-by-character simultaneously across all agents
 function progressAgents() {
-    if (!graph || agents.length === 0) {
+    if (!graph || !runState) {
         stopProgressing();
         return;
     }
 
-    // Get instructions for all agents
-    const agentInstructions = agents.map(agent => ({
-        agent: agent,
-        instructions: getAgentInstructions(agent.id),
-        position: 0, // Current position in instruction string
-        currentNode: agent.currentNode
-    }));
+    // A finished run stays finished until the agents are reset
+    if (runState.verdict) {
+        stopProgressing();
+        showLoopDialog(runState.verdict);
+        return;
+    }
 
-    // Check if any agent can still move
-    let allAgentsFinished = true;
-    let hasMoreInstructions = false;
+    const previousState = runState;
+    const result = replay ? advanceReplay() : advanceRun();
+    // A replay saved before its verdict just stops at its last tick
+    if (!result) {
+        stopProgressing();
+        return;
+    }
 
-    // Process instructions character by character simultaneously
-    let maxIterations = 20; // Safety limit
-    let iteration = 0;
+    if (isInstant) {
+        updateAgents();
+    } else {
+        // Leave a little time between the end of an animation and the next tick
+        animateAgentMoves(previousState, result.events, getTickInterval() * 0.8);
+    }
+    updateTimeline();
 
-    while (iteration < maxIterations) {
-        hasMoreInstructions = false;
-        const positionUpdates = new Map(); // Store position updates for this round
-        const instructionResults = []; // Store instruction execution results
-        const conditionalResults = new Map(); // Store conditional evaluation results
+    if (!result.verdict) return;
 
-        // PHASE 1: Evaluate all conditional instructions (C) FIRST, before any movements
-        agentInstructions.forEach((agentData, index) => {
-            const agent = agentData.agent;
-            
-            // Check if agent is finished (no outgoing edges)
-            const availableEdges = graph.links.filter(link => {
-                const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
-                return sourceId === agentData.currentNode;
-            });
+    stopProgressing();
+    showLoopDialog(result.verdict);
+}
 
-            if (availableEdges.length === 0) {
-                agent.finished = true;
-                return;
-            }
+// Run ticks back to back for instant mode, redrawing only once per batch
+function runInstantBatch() {
+    if (!graph || !runState || runState.verdict || (replay && traceIndex === runTrace.length - 1)) {
+        progressAgents();
+        return;
+    }
 
-            agent.finished = false;
-            allAgentsFinished = false;
+    let result = null;
+    for (let i = 0; i < INSTANT_TICKS_PER_BATCH && !runState.verdict; i++) {
+        if (replay && traceIndex === runTrace.length - 1) break;
+        result = replay ? advanceReplay() : advanceRun();
+    }
+    updateAgents();
+    updateTimeline();
 
-            // Check if agent has more instructions
-            if (agentData.position >= agentData.instructions.length) {
-                return; // No more instructions for this agent
-            }
+    if (!result.verdict) return;
 
-            const currentChar = agentData.instructions[agentData.position];
-
-            // Only process conditional instructions in this phase
-            if (currentChar === 'C') {
-                hasMoreInstructions = true;
-                
-                // Conditional instruction - check if there is another agent at current node
-                if (agentData.position + 1 >= agentData.instructions.length) {
-                    // C at end - invalid, skip it
-                    conditionalResults.set(index, { 
-                        shouldExecute: false, 
-                        skipChars: 1,
-                        instruction: null
-                    });
-                    return;
-                }
+    stopProgressing();
+    showLoopDialog(result.verdict);
+}
 
-                // Check condition BEFORE any agents move (use current positions)
-                const hasOtherAgent = hasOtherAgentAtNode(agentData.currentNode, agent.id);
-                const nextChar = agentData.instructions[agentData.position + 1];
-
-                if (hasOtherAgent) {
-                    // Condition is true - will execute the next instruction
-                    conditionalResults.set(index, { 
-                        shouldExecute: true, 
-                        instruction: nextChar,
-                        skipChars: 2 // Skip both C and next char
-                    });
-                } else {
-                    // Condition is false - skip the next instruction
-                    conditionalResults.set(index, { 
-                        shouldExecute: false, 
-                        instruction: null,
-                        skipChars: 2 // Skip both C and next char
-                    });
-                }
-            }
-        });
+// Simulate one tick and record it in the trace
+// A tick the debugger is partway through is finished instead of simulated again
+// Returns the engine's { state, verdict, events }
+function advanceRun() {
+    if (debugMode && debugMode.session) {
+        return commitDebugTick();
+    }
+    const programs = runState.agents.map(agent => getAgentInstructions(agent.id));
+    const maxTicks = getTickBudget();
+    return recordTick(simulateTick(graph, runState, programs, { maxTicks }), programs, maxTicks);
+}
 
-        // PHASE 2: Process all other instructions (S, N, L) and conditional results
-        agentInstructions.forEach((agentData, index) => {
-            const agent = agentData.agent;
-            
-            // Skip if agent is finished
-            if (agent.finished) {
-                instructionResults.push({ index, shouldExecute: false, newPosition: agentData.currentNode });
-                return;
-            }
+// Make a simulated tick the run's next one, recording it in the trace
+// together with the programs and tick budget it was simulated with (see saveReplay)
+function recordTick(result, programs, maxTicks) {
+    runState = result.state;
+    
+    // Stepping from an earlier tick replaces the recorded future
+    if (traceIndex < runTrace.length - 1) {
+        runTrace = runTrace.slice(0, traceIndex + 1);
+    }
+    runTrace.push({ state: runState, events: result.events, programs: programs.map(normalizeProgram), maxTicks });
+    traceIndex = runTrace.length - 1;
 
-            // Check if agent has more instructions
-            if (agentData.position >= agentData.instructions.length) {
-                instructionResults.push({ index, shouldExecute: false, newPosition: agentData.currentNode });
-                return; // No more instructions for this agent
-            }
+    return result;
+}
 
-            hasMoreInstructions = true;
-            const currentChar = agentData.instructions[agentData.position];
-
-            // Check if this agent had a conditional instruction that was already evaluated
-            if (conditionalResults.has(index)) {
-                const condResult = conditionalResults.get(index);
-                if (condResult.shouldExecute) {
-                    // Condition was true - execute the stored instruction
-                    instructionResults.push({ 
-                        index, 
-                        shouldExecute: true, 
-                        instruction: condResult.instruction,
-                        newPosition: agentData.currentNode,
-                        skipChars: condResult.skipChars
-                    });
-                } else {
-                    // Condition was false - skip execution
-                    instructionResults.push({ 
-                        index, 
-                        shouldExecute: false, 
-                        newPosition: agentData.currentNode,
-                        skipChars: condResult.skipChars
-                    });
-                }
-            } else if (currentChar === 'L') {
-                // LOOP instruction - end execution and check for loop
-                instructionResults.push({ 
-                    index, 
-                    shouldExecute: true, 
-                    instruction: 'L',
-                    newPosition: agentData.currentNode,
-                    skipChars: 1,
-                    isLoopCheck: true
-                });
-            } else if (currentChar === 'S') {
-                // Count consecutive S characters for atomic execution
-                let sCount = 0;
-                let pos = agentData.position;
-                while (pos < agentData.instructions.length && agentData.instructions[pos] === 'S') {
-                    sCount++;
-                    pos++;
-                }
-                // Treat all consecutive S's as a single atomic operation
-                instructionResults.push({ 
-                    index, 
-                    shouldExecute: true, 
-                    instruction: 'S',
-                    stepCount: sCount, // Number of steps to execute atomically
-                    newPosition: agentData.currentNode,
-                    skipChars: sCount
-                });
-            } else if (currentChar === 'N') {
-                // NOP instruction
-                instructionResults.push({ 
-                    index, 
-                    shouldExecute: true, 
-                    instruction: 'N',
-                    newPosition: agentData.currentNode,
-                    skipChars: 1
-                });
-            } else {
-                // Unknown instruction - skip it
-                instructionResults.push({ 
-                    index, 
-                    shouldExecute: false, 
-                    newPosition: agentData.currentNode,
-                    skipChars: 1
-                });
-            }
-        });
+// Move a replay on to its next recorded tick
+// Returns { state, verdict, events } like advanceRun, or null at the end of the replay
+function advanceReplay() {
+    if (traceIndex >= runTrace.length - 1) return null;
+    traceIndex++;
+    const entry = runTrace[traceIndex];
+    runState = entry.state;
+    return { state: entry.state, verdict: entry.state.verdict, events: entry.events };
+}
 
-        // PHASE 3: Execute all instructions simultaneously
-        let loopCheckTriggered = false;
-        instructionResults.forEach(result => {
-            if (!result.shouldExecute) {
-                if (result.skipChars) {
-                    agentInstructions[result.index].position += result.skipChars;
-                }
-                return;
-            }
+// Show a recorded tick of the current run
+function showTraceTick(index) {
+    if (index < 0 || index >= runTrace.length) return;
+    
+    if (isProgressing) {
+        stopProgressing();
+    }
+    if (debugMode) {
+        debugMode.session = null;
+        debugMode.paused = null;
+    }
+    
+    traceIndex = index;
+    runState = runTrace[index].state;
+    updateAgents();
+    updateTimeline();
+}
 
-            // Check for LOOP instruction first
-            if (result.isLoopCheck) {
-                loopCheckTriggered = true;
-                agentInstructions[result.index].position += result.skipChars;
-                return; // Don't execute other instructions if LOOP is triggered
-            }
+// Get the label of a node by id
+function getNodeLabel(nodeId) {
+    const node = graph && graph.nodes.find(n => n.id === nodeId);
+    return node && node.label ? node.label : `N${nodeId}`;
+}
 
-            const agentData = agentInstructions[result.index];
-            const agent = agentData.agent;
-            
-            // Handle atomic S operations (multiple consecutive S's)
-            if (result.instruction === 'S' && result.stepCount && result.stepCount > 1) {
-                // Execute multiple steps atomically
-                let currentPos = agentData.currentNode;
-                let stepsExecuted = 0;
-                for (let i = 0; i < result.stepCount; i++) {
-                    const execResult = executeSingleInstruction(agent, 'S', currentPos);
-                    if (execResult.moved) {
-                        currentPos = execResult.newPosition;
-                        stepsExecuted++;
-                    } else {
-                        // Can't move further, stop
-                        break;
-                    }
-                }
-                if (stepsExecuted > 0) {
-                    positionUpdates.set(result.index, currentPos);
-                    agentData.currentNode = currentPos;
-                }
-            } else {
-                // Single instruction execution
-                const execResult = executeSingleInstruction(agent, result.instruction, agentData.currentNode);
-                
-                if (execResult.moved) {
-                    positionUpdates.set(result.index, execResult.newPosition);
-                    agentData.currentNode = execResult.newPosition;
-                }
-            }
-            
-            agentData.position += result.skipChars;
+// Describe a recorded tick: positions, program positions, C conditions and meetings
+function describeTraceEntry(entry) {
+    const parts = [];
+    const positions = entry.state.agents.map(agent => {
+        const programPosition = entry.events ? `:${entry.events.programPositions[agent.id]}` : '';
+        return `A${agent.id + 1}@${getNodeLabel(agent.currentNode)}${programPosition}`;
+    });
+    parts.push(positions.join(' '));
+    
+    if (entry.events) {
+        entry.events.conditions.forEach(condition => {
+            parts.push(`C of A${condition.agentId + 1} ${condition.fired ? 'fired' : 'skipped'}`);
         });
+        entry.events.meetings.forEach(meeting => {
+            const agentNames = meeting.agentIds.map(id => `A${id + 1}`).join(', ');
+            parts.push(`${agentNames} met at ${getNodeLabel(meeting.nodeId)}`);
+        });
+    }
+    
+    return parts.join(' · ');
+}
 
-        // If LOOP instruction was triggered, show dialog and stop execution
-        if (loopCheckTriggered) {
-            showLoopDialog(graph && graph.hasLoop, false); // Pass loop status, not finished
-            stopProgressing();
-            updateAgents();
-            return;
-        }
+// Update the timeline slider and info for the current trace
+function updateTimeline() {
+    // Blind mode reveals loop edges once the tick shown has a verdict
+    updateEdgeStyles();
 
-        // Apply position updates after all instructions are evaluated
-        positionUpdates.forEach((newPosition, index) => {
-            const agent = agentInstructions[index].agent;
-            if (agent.currentNode !== newPosition) {
-                agent.currentNode = newPosition;
-                agent.path.push(newPosition);
-            }
-        });
+    const slider = document.getElementById('timelineSlider');
+    const lastTick = runTrace.length - 1;
+    slider.max = Math.max(0, lastTick);
+    slider.value = traceIndex;
+    
+    document.getElementById('stepBack').disabled = traceIndex === 0;
+    document.getElementById('jumpToMeeting').disabled = findFirstMeetingTick(runTrace) === -1;
+    
+    const info = document.getElementById('timelineInfo');
+    if (runTrace.length === 0) {
+        info.textContent = '';
+        return;
+    }
+    info.textContent = `Tick ${traceIndex} / ${lastTick} · ${describeTraceEntry(runTrace[traceIndex])}`;
 
-        // Check for overlaps and trigger L instruction if any overlapping agent has L
-        // Only check after all atomic operations are complete
-        const nodeToAgents = new Map();
-        agentInstructions.forEach((agentData, index) => {
-            if (agentData.agent.finished) return;
-            const nodeId = agentData.agent.currentNode;
-            if (!nodeToAgents.has(nodeId)) {
-                nodeToAgents.set(nodeId, []);
-            }
-            nodeToAgents.get(nodeId).push(index);
-        });
+    // The stats panel and the debugger follow the tick shown on the timeline
+    updateStatsPanel();
+    if (debugMode) {
+        updateDebugView();
+    }
+}
 
-        // Check each node for overlaps (multiple agents)
-        let overlapLoopTriggered = false;
-        for (const [nodeId, agentIndices] of nodeToAgents.entries()) {
-            if (agentIndices.length > 1) {
-                // Multiple agents at this node - check if any has L instruction
-                for (const agentIndex of agentIndices) {
-                    const agentData = agentInstructions[agentIndex];
-                    
-                    // First check if L is at the current position
-                    if (agentData.position < agentData.instructions.length) {
-                        const currentChar = agentData.instructions[agentData.position];
-                        if (currentChar === 'L') {
-                            // Trigger loop check when agents overlap and one has L at current position
-                            agentData.position += 1;
-                            overlapLoopTriggered = true;
-                            break; // Only need to trigger once
-                        }
-                    }
-                    
-                    // Also check if L appears in remaining instructions
-                    // Skip over conditionals (C) that might block reaching L
-                    if (agentData.position < agentData.instructions.length) {
-                        let searchPos = agentData.position;
-                        while (searchPos < agentData.instructions.length) {
-                            const char = agentData.instructions[searchPos];
-                            if (char === 'L') {
-                                // Found L in remaining instructions - advance to it and trigger
-                                agentData.position = searchPos + 1;
-                                overlapLoopTriggered = true;
-                                break;
-                            } else if (char === 'C') {
-                                // Skip conditional - check if condition would be true
-                                // If C is followed by L and condition is true, we can reach L
-                                if (searchPos + 1 < agentData.instructions.length) {
-                                    const nextChar = agentData.instructions[searchPos + 1];
-                                    if (nextChar === 'L') {
-                                        // CL - check if condition is true (other agent at node)
-                                        const hasOtherAgent = hasOtherAgentAtNode(nodeId, agentData.agent.id);
-                                        if (hasOtherAgent) {
-                                            // Condition is true, can execute L
-                                            agentData.position = searchPos + 2; // Skip C and L
-                                            overlapLoopTriggered = true;
-                                            break;
-                                        } else {
-                                            // Condition is false, skip the L
-                                            searchPos += 2; // Skip C and L
-                                            continue;
-                                        }
-                                    } else {
-                                        // C followed by something else, skip both
-                                        searchPos += 2;
-                                        continue;
-                                    }
-                                } else {
-                                    // C at end, skip it
-                                    searchPos += 1;
-                                    continue;
-                                }
-                            } else {
-                                // Other instruction, continue searching
-                                searchPos += 1;
-                            }
-                        }
-                        if (overlapLoopTriggered) break;
-                    }
-                }
-            }
-        }
+// Fill the run statistics panel for the tick shown on the timeline
+// Once the run has a verdict, the graph's true tail and cycle lengths are added for comparison
+function updateStatsPanel() {
+    const panel = document.getElementById('statsPanel');
+    panel.innerHTML = '';
+    if (runTrace.length === 0) return;
+
+    const stats = summarizeRun(runTrace, traceIndex);
+    const addHeading = text => {
+        const heading = document.createElement('h3');
+        heading.textContent = text;
+        panel.appendChild(heading);
+    };
+    const addRow = (label, value) => {
+        const row = document.createElement('div');
+        row.className = 'stats-row';
+        const name = document.createElement('span');
+        name.textContent = label;
+        const content = document.createElement('span');
+        content.className = 'stats-value';
+        content.textContent = value;
+        row.appendChild(name);
+        row.appendChild(content);
+        panel.appendChild(row);
+        return row;
+    };
 
-        if (overlapLoopTriggered) {
-            showLoopDialog(graph && graph.hasLoop, false);
-            stopProgressing();
-            updateAgents();
-            return;
-        }
+    addHeading('Run');
+    addRow('Tick', stats.tick);
+    addRow('Nodes visited', stats.nodesVisited);
+    addRow('Meetings', stats.meetings);
+    addRow('First meeting', stats.firstMeetingTick === -1 ? '—' : `tick ${stats.firstMeetingTick}`);
+
+    addHeading('Agents');
+    const table = document.createElement('table');
+    table.className = 'stats-table';
+    const header = table.insertRow();
+    ['', 'Steps', 'Nodes', 'IP'].forEach(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        header.appendChild(cell);
+    });
+    stats.agents.forEach(agent => {
+        const row = table.insertRow();
+        const name = row.insertCell();
+        name.textContent = `A${agent.id + 1}`;
+        name.style.color = getAgentColor(agent.id);
+        row.insertCell().textContent = agent.steps;
+        row.insertCell().textContent = agent.nodesVisited;
+        row.insertCell().textContent = agent.instructionPointer;
+    });
+    panel.appendChild(table);
+
+    const verdict = runTrace[traceIndex].state.verdict;
+    if (!verdict) return;
+
+    addHeading('Result');
+    const verdictNames = { loop: 'Loop reported', finished: 'All finished', undecided: 'Undecided' };
+    const verdictRow = addRow(verdictNames[verdict.kind], verdict.correct ? '✓' : '✗');
+    verdictRow.classList.add(verdict.correct ? 'stats-correct' : 'stats-wrong');
+    if (isLoopHidden()) return;
+    const shape = describeGraphShape(graph, runTrace[0].state.startNodes);
+    addRow('True tail', shape.tailLength);
+    addRow('True cycle', shape.cycleLength === null ? 'none' : shape.cycleLength);
+}
 
-        // If no agent has more instructions, break
-        if (!hasMoreInstructions) {
-            break;
-        }
+// Get the selected execution mode (see EXECUTION_MODES)
+function getExecutionMode() {
+    return document.getElementById('executionMode').value;
+}
 
-        iteration++;
-    }
+// Select an execution mode, ignoring unknown ones (e.g. from an older saved file)
+function setExecutionMode(mode) {
+    if (!EXECUTION_MODES[mode]) return;
+    document.getElementById('executionMode').value = mode;
+    updateExecutionModeNote();
+    updateProgramDiagnostics();
+}
 
-    updateAgents();
+// Explain the selected execution mode in the instruction legend
+function updateExecutionModeNote() {
+    const note = document.getElementById('executionModeNote');
+    note.textContent = getExecutionMode() === 'persistent'
+        ? '• Each step continues the program up to its next S; J goes back to the start'
+        : '• All instructions execute at each step';
+}
 
-    // Stop if all agents have reached end nodes
-    if (allAgentsFinished) {
-        stopProgressing();
-        // Show success dialog - all agents reached terminating nodes (no loop)
-        showLoopDialog(false, true); // hasLoop=false, allFinished=true
-    }
+// Get the tick budget after which a run is stopped as undecided
+function getTickBudget() {
+    const input = document.getElementById('tickBudget');
+    return Math.max(1, parseInt(input.value) || DEFAULT_MAX_TICKS);
 }
 
-// Show loop check dialog
-// hasLoop: whether the graph has a loop
-// allFinished: whether all agents reached terminating nodes (no loop scenario)
-function showLoopDialog(hasLoop, allFinished = false) {
+// Show loop check dialog for a verdict returned by the simulation engine
+function showLoopDialog(verdict) {
     // Create dialog overlay
     const overlay = document.createElement('div');
     overlay.className = 'dialog-overlay';
     
-    let dialogClass, emoji, title, message;
-    
-    if (hasLoop) {
-        // Graph has a loop - success
-        dialogClass = 'success';
-        emoji = '😊';
-        title = 'Success!';
-        message = 'The graph contains a loop! Well done!';
-    } else if (allFinished) {
-        // All agents reached terminating nodes - success (no loop, which is correct)
-        dialogClass = 'success';
-        emoji = '😊';
-        title = 'Well Done!';
-        message = 'All agents reached terminating nodes. The graph has no loop, which is correct!';
-    } else {
-        // No loop detected when L was executed - failure
-        dialogClass = 'failure';
-        emoji = '😢';
-        title = 'Failure';
-        message = 'The graph does not contain a loop. Try again!';
-    }
+    const { dialogClass, emoji, title, message } = describeVerdict(verdict);
     
     const dialog = document.createElement('div');
     dialog.className = `dialog-box ${dialogClass}`;
@@ -1320,56 +1647,56 @@ function showLoopDialog(hasLoop, allFinished = false) {
     document.body.appendChild(overlay);
 }
 
-// Serialize graph to human-readable text format
-function serializeGraph() {
-    if (!graph) {
-        return "No graph available.";
-    }
-
-    let result = [];
-    result.push(`Graph with ${graph.nodes.length} node(s)`);
-    result.push("");
-
-    // List all nodes
-    result.push("Nodes:");
-    graph.nodes.forEach(node => {
-        const nodeId = typeof node === 'object' ? node.id : node;
-        const label = node.label || `N${nodeId}`;
-        result.push(`  ${label} (ID: ${nodeId})`);
-    });
-    result.push("");
-
-    // List all edges
-    result.push("Edges:");
-    if (graph.links.length === 0) {
-        result.push("  (no edges)");
+// Choose the dialog style, emoji, title and message for a verdict
+function describeVerdict(verdict) {
+    let dialogClass, emoji, title, message;
+    
+    if (verdict.kind === 'undecided') {
+        // Run can't reach a verdict - neither success nor failure
+        dialogClass = 'undecided';
+        emoji = '🤔';
+        title = verdict.reason === 'repeated' ? 'Undecided' : 'Timed Out';
+        message = verdict.reason === 'repeated'
+            ? `The agents are back in the same state as at tick ${verdict.repeatedTick}, so they would run forever without reporting a loop.`
+            : `No verdict within ${verdict.maxTicks} ticks.`;
+    } else if (verdict.kind === 'loop' && verdict.hasLoop) {
+        // Graph has a loop - success
+        dialogClass = 'success';
+        emoji = '😊';
+        title = 'Success!';
+        message = 'The graph contains a loop! Well done!';
+    } else if (verdict.kind === 'finished') {
+        // All agents reached terminating nodes - success (no loop, which is correct)
+        dialogClass = 'success';
+        emoji = '😊';
+        title = 'Well Done!';
+        message = 'All agents reached terminating nodes. The graph has no loop, which is correct!';
     } else {
-        graph.links.forEach((link, index) => {
-            const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
-            const targetId = typeof link.target === 'object' ? link.target.id : link.target;
-            const sourceLabel = typeof link.source === 'object' ? link.source.label : `N${sourceId}`;
-            const targetLabel = typeof link.target === 'object' ? link.target.label : `N${targetId}`;
-            
-            let edgeStr = `  ${sourceLabel} -> ${targetLabel}`;
-            
-            // Mark loop edge
-            if (graph.hasLoop && graph.loopEdge === link) {
-                edgeStr += " [LOOP]";
-            }
-            
-            result.push(edgeStr);
-        });
+        // No loop detected when L was executed - failure
+        dialogClass = 'failure';
+        emoji = '😢';
+        title = 'Failure';
+        message = 'The graph does not contain a loop. Try again!';
     }
-    result.push("");
+    
+    return { dialogClass, emoji, title, message };
+}
 
-    // Summary
-    if (graph.hasLoop) {
-        result.push("Graph contains a loop.");
-    } else {
-        result.push("Graph does not contain a loop.");
+// Serialize the current graph in one of the formats from formats.js
+// JSON also carries the agent programs so a whole setup can be shared
+// Loop annotations are left out while blind mode hides loops
+function serializeGraph(format = 'text') {
+    if (!graph) {
+        return "No graph available.";
     }
 
-    return result.join("\n");
+    const programs = getActivePrograms();
+    return serializeGraphAs(graph, format, {
+        programs,
+        startNodes: getAgentStartNodes(),
+        metadata: { agents: programs.length, mode: getExecutionMode() },
+        blind: isLoopHidden()
+    });
 }
 
 // Show graph serialization dialog
@@ -1379,8 +1706,6 @@ function showGraphSerialization() {
         return;
     }
 
-    const serialized = serializeGraph();
-
     // Create dialog overlay
     const overlay = document.createElement('div');
     overlay.className = 'dialog-overlay';
@@ -1395,11 +1720,28 @@ function showGraphSerialization() {
     title.textContent = 'Graph Serialization';
     title.style.marginBottom = '15px';
     
+    const formatField = document.createElement('label');
+    formatField.className = 'dialog-field';
+    formatField.textContent = 'Format';
+    const formatSelect = document.createElement('select');
+    formatSelect.style.width = '150px';
+    Object.entries(GRAPH_FORMATS).forEach(([format, name]) => {
+        const option = document.createElement('option');
+        option.value = format;
+        option.textContent = name;
+        formatSelect.appendChild(option);
+    });
+    formatSelect.addEventListener('change', () => {
+        textarea.value = serializeGraph(formatSelect.value);
+    });
+    formatField.appendChild(formatSelect);
+    formatField.style.marginBottom = '10px';
+    
     const inputContainer = document.createElement('div');
     inputContainer.style.marginBottom = '20px';
     
     const textarea = document.createElement('textarea');
-    textarea.value = serialized;
+    textarea.value = serializeGraph(formatSelect.value);
     textarea.readOnly = true;
     textarea.style.width = '100%';
     textarea.style.minHeight = '300px';
@@ -1434,6 +1776,7 @@ function showGraphSerialization() {
     });
     
     dialog.appendChild(title);
+    dialog.appendChild(formatField);
     dialog.appendChild(inputContainer);
     dialog.appendChild(button);
     overlay.appendChild(dialog);
@@ -1445,107 +1788,236 @@ function showGraphSerialization() {
     }, 100);
 }
 
-// Parse serialized graph text and reconstruct graph
-function parseGraphSerialization(text) {
-    try {
-        const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-        
-        // Find nodes section
-        let nodesStart = -1;
-        let edgesStart = -1;
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].startsWith('Nodes:')) {
-                nodesStart = i + 1;
-            }
-            if (lines[i].startsWith('Edges:')) {
-                edgesStart = i + 1;
-                break;
-            }
-        }
-        
-        if (nodesStart === -1 || edgesStart === -1) {
-            throw new Error('Invalid format: missing Nodes or Edges section');
-        }
-        
-        // Parse nodes
-        const nodes = [];
-        const nodeIdMap = new Map(); // Map from label to id
-        for (let i = nodesStart; i < edgesStart - 1; i++) {
-            const line = lines[i];
-            // Format: "N0 (ID: 0)" or just "N0"
-            const match = line.match(/(\w+)\s*\(ID:\s*(\d+)\)/) || line.match(/(\w+)/);
-            if (match) {
-                const label = match[1];
-                const id = match[2] !== undefined ? parseInt(match[2]) : nodes.length;
-                nodes.push({ id, label });
-                nodeIdMap.set(label, id);
-            }
-        }
-        
-        // Parse edges
-        const links = [];
-        let loopEdge = null;
-        for (let i = edgesStart; i < lines.length; i++) {
-            const line = lines[i];
-            if (line === '(no edges)') continue;
-            if (line.includes('Graph contains') || line.includes('Graph does not')) break;
-            
-            // Format: "N0 -> N1" or "N0 -> N1 [LOOP]"
-            const match = line.match(/(\w+)\s*->\s*(\w+)(?:\s*\[LOOP\])?/);
-            if (match) {
-                const sourceLabel = match[1];
-                const targetLabel = match[2];
-                const isLoop = line.includes('[LOOP]');
-                
-                const sourceId = nodeIdMap.get(sourceLabel);
-                const targetId = nodeIdMap.get(targetLabel);
-                
-                if (sourceId === undefined || targetId === undefined) {
-                    throw new Error(`Invalid edge: node not found (${sourceLabel} or ${targetLabel})`);
-                }
-                
-                const link = { source: sourceId, target: targetId };
-                links.push(link);
-                
-                if (isLoop) {
-                    loopEdge = link;
-                }
-            }
-        }
-        
-        // Determine if graph has loop
-        const hasLoop = loopEdge !== null || lines.some(line => line.includes('Graph contains a loop'));
-        
-        return { nodes, links, hasLoop, loopEdge };
-    } catch (error) {
-        throw new Error(`Failed to parse graph: ${error.message}`);
+// Load graph from serialized text in any supported format
+// Programs saved alongside a JSON graph replace the current ones; parse errors are thrown to the caller
+function loadGraphFromSerialization(serializedText) {
+    const loaded = parseGraph(serializedText);
+
+    if (loaded.programs) {
+        setAgentPrograms(loaded.programs);
     }
+    if (loaded.metadata) {
+        setExecutionMode(loaded.metadata.mode);
+    }
+
+    displayGraph(loaded.graph, loaded.startNodes);
+    return loaded;
 }
 
-// Load graph from serialized text
-function loadGraphFromSerialization(serializedText) {
-    try {
-        const graphData = parseGraphSerialization(serializedText);
-        
-        // Reconstruct graph object
-        graph = {
-            nodes: graphData.nodes,
-            links: graphData.links,
-            hasLoop: graphData.hasLoop,
-            loopEdge: graphData.loopEdge
-        };
-        
-        // Render the graph
-        renderGraph();
-        
-        // Reset agents
-        resetAgents();
-        
-        return true;
+// Set the agent count and each agent's program, e.g. from a loaded file or a link
+function setAgentPrograms(programs) {
+    const numAgentsSelect = document.getElementById('numAgents');
+    const numAgents = Math.min(numAgentsSelect.options.length, Math.max(1, programs.length));
+    numAgentsSelect.value = numAgents;
+    updateAgentTextAreas(numAgents);
+    for (let i = 0; i < numAgents; i++) {
+        document.getElementById(`agentTextArea${i}`).value = normalizeProgram(programs[i]).slice(0, getMaxProgramLength());
+    }
+    updateProgramDiagnostics();
+}
+
+// Build a link that reopens the current graph, agent count, programs, start nodes and execution mode
+function getSetupLink() {
+    const url = window.location.href.replace(/#.*$/, '');
+    return url + getSetupHash();
+}
+
+// Hash part of the setup link
+function getSetupHash() {
+    return encodeSetupHash({
+        graph,
+        programs: getActivePrograms(),
+        startNodes: getAgentStartNodes(),
+        mode: getExecutionMode()
+    });
+}
+
+// Put the setup link in the address bar and on the clipboard
+function copySetupLink() {
+    if (!graph) return;
+
+    const link = getSetupLink();
+    history.replaceState(null, '', getSetupHash());
+
+    const button = document.getElementById('copyLink');
+    const showCopied = () => {
+        button.textContent = '✅';
+        setTimeout(() => {
+            button.textContent = '🔗';
+        }, 1000);
+    };
+    // The clipboard API is unavailable on file:// pages in some browsers; fall back to a prompt
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(link).then(showCopied, () => prompt('Copy this link:', link));
+    } else {
+        prompt('Copy this link:', link);
+    }
+}
+
+// Restore graph, agents and programs from the URL hash
+// Returns false when the URL holds no setup (or an invalid one), so the caller can generate a graph instead
+function restoreSetupFromLink() {
+    let setup;
+    try {
+        setup = decodeSetupHash(window.location.hash);
     } catch (error) {
-        alert(`Error loading graph: ${error.message}`);
+        alert(`Could not open link: ${error.message}`);
         return false;
     }
+    if (!setup) return false;
+
+    // A shared setup is played freely, outside any challenge level
+    if (challenge) {
+        leaveChallenge();
+    }
+    setAgentPrograms(setup.programs);
+    setExecutionMode(setup.mode || DEFAULT_EXECUTION_MODE);
+    displayGraph(setup.graph, setup.startNodes || []);
+    return true;
+}
+
+// Download the current run, every recorded tick included, as a replay file
+// The file holds the programs and tick budget the run was simulated with, whatever the editors show now
+function saveReplay() {
+    if (!graph || runTrace.length === 0) return;
+
+    const setup = getRunSetup();
+    if (!setup) {
+        alert('The programs were changed during this run, so a replay could not reproduce it. Reset the agents and run it again to save it.');
+        return;
+    }
+    const text = serializeReplay({
+        graph,
+        programs: setup.programs,
+        startNodes: runTrace[0].state.startNodes,
+        mode: runTrace[0].state.mode,
+        maxTicks: setup.maxTicks,
+        trace: runTrace
+    });
+    const name = graph.seed !== undefined ? `seed${graph.seed}` : 'graph';
+    downloadTextFile(text, `loopfinder-replay-${name}-tick${runTrace.length - 1}.json`, 'application/json');
+}
+
+// Get the programs and tick budget the current run was simulated with as { programs, maxTicks },
+// or null when its ticks ran different programs
+// A budget raised partway is fine: the last one covers every earlier tick, since none of them stopped the run
+function getRunSetup() {
+    if (replay) {
+        return { programs: replay.programs, maxTicks: replay.maxTicks };
+    }
+    const ticks = runTrace.slice(1);
+    if (ticks.length === 0) {
+        return { programs: getActivePrograms(), maxTicks: getTickBudget() };
+    }
+    const programs = ticks[0].programs;
+    if (ticks.some(entry => entry.programs.join(',') !== programs.join(','))) {
+        return null;
+    }
+    return { programs, maxTicks: ticks[ticks.length - 1].maxTicks };
+}
+
+// Let the browser download text as a file
+function downloadTextFile(text, fileName, type) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type }));
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
+
+// Read a replay file chosen by the user and open it in the viewer
+function openReplayFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            loadReplay(reader.result);
+        } catch (error) {
+            alert(`Could not open replay: ${error.message}`);
+        }
+    };
+    reader.readAsText(file);
+}
+
+// Show a replay file read-only: its graph, programs and settings, with the recorded ticks on the timeline
+// ▶︎, ⏯︎ and the timeline play back the recorded ticks instead of simulating new ones
+function loadReplay(text) {
+    const loaded = parseReplay(text);
+
+    if (isEditing) {
+        toggleEditMode();
+    }
+    stopPlacingAgents();
+    setAgentPrograms(loaded.programs);
+    setExecutionMode(loaded.mode || DEFAULT_EXECUTION_MODE);
+    document.getElementById('tickBudget').value = loaded.maxTicks || DEFAULT_MAX_TICKS;
+    displayGraph(loaded.graph, loaded.startNodes);
+
+    replay = { ...loaded, check: checkReplay(loaded) };
+    runTrace = loaded.trace;
+    showTraceTick(0);
+    setReplayMode(true);
+}
+
+// Leave the replay viewer; the controls go back to editing a live run
+function closeReplay() {
+    replay = null;
+    setReplayMode(false);
+}
+
+// Lock everything that would change the setup while a replay is shown, and show the replay banner
+function setReplayMode(active) {
+    // Replays hold whole ticks only, so there is nothing to step through
+    if (active && debugMode) {
+        toggleDebugMode();
+    }
+    ['generateGraph', 'seedInput', 'generatorSettings', 'placeAgents', 'editGraph', 'evaluatePrograms',
+        'provePrograms', 'challengeMode', 'tournamentMode', 'loadGraph', 'numAgents', 'executionMode', 'tickBudget',
+        'debugMode'].forEach(id => {
+        document.getElementById(id).disabled = active;
+    });
+    document.querySelectorAll('.agent-textarea-container textarea').forEach(textarea => {
+        textarea.readOnly = active;
+    });
+    updateProgramDiagnostics();
+    document.querySelectorAll('.agent-start').forEach(select => {
+        select.disabled = active;
+    });
+
+    const banner = document.getElementById('replayBanner');
+    banner.innerHTML = '';
+    banner.hidden = !active;
+    if (!active) return;
+
+    const info = document.createElement('span');
+    const check = replay.check.consistent
+        ? '✓ matches the engine'
+        : `⚠ differs from the engine from tick ${replay.check.tick}`;
+    info.textContent = `🎞️ Replay (read-only) · ${runTrace.length - 1} ticks · ${check}`;
+
+    const exitButton = document.createElement('button');
+    exitButton.textContent = 'Exit replay';
+    exitButton.addEventListener('click', () => {
+        closeReplay();
+        resetAgents();
+    });
+
+    banner.appendChild(info);
+    banner.appendChild(exitButton);
+}
+
+// Select the text at a 1-based line and column so the user can see where parsing failed
+function selectTextPosition(textarea, line, column) {
+    const lines = textarea.value.split('\n');
+    let start = 0;
+    for (let i = 0; i < line - 1 && i < lines.length; i++) {
+        start += lines[i].length + 1;
+    }
+    start += Math.max(0, (column || 1) - 1);
+    const end = column ? start + 1 : start + (lines[line - 1] || '').length;
+    textarea.focus();
+    textarea.setSelectionRange(start, end);
 }
 
 // Show load graph dialog
@@ -1568,7 +2040,7 @@ function showLoadGraphDialog() {
     inputContainer.style.marginBottom = '20px';
     
     const textarea = document.createElement('textarea');
-    textarea.placeholder = 'Paste serialized graph text here...';
+    textarea.placeholder = 'Paste a graph here: text, JSON, Graphviz DOT or a successor list like [1,2,3,1]';
     textarea.style.width = '100%';
     textarea.style.minHeight = '300px';
     textarea.style.padding = '10px';
@@ -1580,7 +2052,11 @@ function showLoadGraphDialog() {
     textarea.style.fontSize = '12px';
     textarea.style.resize = 'vertical';
     
+    const errorMessage = document.createElement('div');
+    errorMessage.className = 'dialog-error';
+    
     inputContainer.appendChild(textarea);
+    inputContainer.appendChild(errorMessage);
     
     const buttonContainer = document.createElement('div');
     buttonContainer.style.display = 'flex';
@@ -1592,14 +2068,19 @@ function showLoadGraphDialog() {
     loadButton.textContent = 'Load';
     loadButton.style.backgroundColor = '#0066cc';
     loadButton.addEventListener('click', () => {
-        const text = textarea.value.trim();
-        if (!text) {
-            alert('Please enter graph serialization text.');
+        if (!textarea.value.trim()) {
+            errorMessage.textContent = 'Please paste a graph to load.';
             return;
         }
         
-        if (loadGraphFromSerialization(text)) {
+        try {
+            loadGraphFromSerialization(textarea.value);
             document.body.removeChild(overlay);
+        } catch (error) {
+            errorMessage.textContent = error.message;
+            if (error.line) {
+                selectTextPosition(textarea, error.line, error.column);
+            }
         }
     });
     
@@ -1633,6 +2114,1728 @@ function showLoadGraphDialog() {
     }, 100);
 }
 
+// Get the programs of all active agents, in agent order
+function getActivePrograms() {
+    const numAgents = parseInt(document.getElementById('numAgents').value) || 1;
+    const programs = [];
+    for (let i = 0; i < numAgents; i++) {
+        programs.push(getAgentInstructions(i));
+    }
+    return programs;
+}
+
+// Format a fraction as a percentage string
+function formatPercent(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+// Build a results table for one breakdown of an evaluation report
+function createEvaluationTable(caption, buckets) {
+    const table = document.createElement('table');
+    table.className = 'evaluation-table';
+
+    const captionElement = document.createElement('caption');
+    captionElement.textContent = caption;
+    table.appendChild(captionElement);
+
+    const columns = [
+        ['Group', bucket => bucket.key],
+        ['Graphs', bucket => bucket.total],
+        ['Correct', bucket => formatPercent(bucket.accuracy)],
+        ['Detected', bucket => bucket.detected],
+        ['No loop', bucket => bucket.terminated],
+        ['False +', bucket => bucket.falsePositive],
+        ['Missed', bucket => bucket.missed],
+        ['Stalled', bucket => bucket.stalled],
+        ['Avg ticks', bucket => (bucket.averageTicks === null ? '–' : bucket.averageTicks.toFixed(1))]
+    ];
+
+    const headerRow = document.createElement('tr');
+    columns.forEach(([label]) => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        headerRow.appendChild(th);
+    });
+    table.appendChild(headerRow);
+
+    buckets.forEach(bucket => {
+        const row = document.createElement('tr');
+        if (bucket.correct < bucket.total) {
+            row.className = 'evaluation-failing';
+        }
+        columns.forEach(([, value]) => {
+            const td = document.createElement('td');
+            td.textContent = value(bucket);
+            row.appendChild(td);
+        });
+        table.appendChild(row);
+    });
+
+    return table;
+}
+
+// Render an evaluation report into the given container
+function renderEvaluationReport(container, report) {
+    container.innerHTML = '';
+
+    const summary = report.summary;
+    const summaryElement = document.createElement('div');
+    summaryElement.className = 'evaluation-summary';
+    summaryElement.textContent =
+        `${summary.correct} / ${summary.total} correct (${formatPercent(summary.accuracy)}) · ` +
+        `${summary.detected} loops detected · ${summary.terminated} correct no-loop · ` +
+        `${summary.falsePositive} false positives · ${summary.missed} missed loops · ` +
+        `${summary.stalled} stalled · avg ` +
+        (summary.averageTicks === null ? '–' : summary.averageTicks.toFixed(1)) + ' ticks to verdict';
+    container.appendChild(summaryElement);
+
+    container.appendChild(createEvaluationTable('By graph size (nodes)', report.bySize));
+    container.appendChild(createEvaluationTable('By cycle length', report.byCycleLength));
+
+    if (report.failures.length > 0) {
+        const failuresElement = document.createElement('div');
+        failuresElement.className = 'evaluation-failures';
+        failuresElement.textContent = 'Failing graphs (click to load): ';
+        report.failures.forEach(failure => {
+            const link = document.createElement('button');
+            link.className = 'evaluation-failure';
+            link.textContent = `#${failure.seed}`;
+            link.title = `${OUTCOME_DESCRIPTIONS[failure.outcome]}, ${failure.nodes} node(s), cycle length ${failure.cycleLength === null ? 'none' : failure.cycleLength}`;
+            // Evaluation starts every agent at node 0, so the replay does too
+            link.addEventListener('click', () => {
+                displayGraph(createRandomGraph(failure.seed, generatorSettings), []);
+            });
+            failuresElement.appendChild(link);
+        });
+        container.appendChild(failuresElement);
+    }
+}
+
+// Create a labelled number input for a dialog form
+function createNumberField(labelText, value, min, max) {
+    const label = document.createElement('label');
+    label.className = 'dialog-field';
+    label.textContent = labelText;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.value = value;
+    input.min = min;
+    input.max = max;
+    label.appendChild(input);
+
+    return { label, input };
+}
+
+// Create a labelled text input for a dialog form
+function createTextField(labelText, value) {
+    const label = document.createElement('label');
+    label.className = 'dialog-field';
+    label.textContent = labelText;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = value;
+    input.style.width = '160px';
+    label.appendChild(input);
+
+    return { label, input };
+}
+
+// Show batch evaluation dialog
+// Runs the current agent programs against many random graphs without animation
+function showEvaluationDialog() {
+    // Create dialog overlay
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+    
+    const dialog = document.createElement('div');
+    dialog.className = 'dialog-box evaluation-dialog';
+    
+    const title = document.createElement('div');
+    title.className = 'dialog-title';
+    title.textContent = 'Evaluate Programs';
+    title.style.marginBottom = '15px';
+    
+    const form = document.createElement('div');
+    form.className = 'dialog-form';
+    const graphsField = createNumberField('Graphs:', 200, 1, 5000);
+    const ticksField = createNumberField('Max ticks per graph:', DEFAULT_MAX_TICKS, 1, 10000);
+    const seedField = createNumberField('First seed:', randomSeed(), 0, 4294967295);
+    seedField.input.type = 'text';
+    form.appendChild(graphsField.label);
+    form.appendChild(ticksField.label);
+    form.appendChild(seedField.label);
+    
+    const results = document.createElement('div');
+    results.className = 'evaluation-results';
+    
+    const buttonContainer = document.createElement('div');
+    buttonContainer.style.display = 'flex';
+    buttonContainer.style.gap = '10px';
+    buttonContainer.style.justifyContent = 'flex-end';
+    
+    const runButton = document.createElement('button');
+    runButton.className = 'dialog-button';
+    runButton.textContent = 'Run';
+    runButton.addEventListener('click', () => {
+        const programs = getActivePrograms();
+        if (programs.every(program => program.length === 0)) {
+            results.textContent = 'Enter instructions for at least one agent first.';
+            return;
+        }
+        
+        const report = evaluatePrograms(programs, {
+            numGraphs: Math.max(1, parseInt(graphsField.input.value) || 1),
+            maxTicks: Math.max(1, parseInt(ticksField.input.value) || DEFAULT_MAX_TICKS),
+            seed: parseSeed(seedField.input.value) ?? randomSeed(),
+            generatorSettings,
+            mode: getExecutionMode()
+        });
+        renderEvaluationReport(results, report);
+    });
+    
+    const closeButton = document.createElement('button');
+    closeButton.className = 'dialog-button';
+    closeButton.textContent = 'Close';
+    closeButton.style.backgroundColor = '#666666';
+    closeButton.addEventListener('click', () => {
+        document.body.removeChild(overlay);
+    });
+    
+    buttonContainer.appendChild(closeButton);
+    buttonContainer.appendChild(runButton);
+    
+    // Close on overlay click
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            document.body.removeChild(overlay);
+        }
+    });
+    
+    dialog.appendChild(title);
+    dialog.appendChild(form);
+    dialog.appendChild(results);
+    dialog.appendChild(buttonContainer);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+}
+
+// Describe a rho shape for humans, e.g. "tail 3, cycle of 2"
+function describeShape(tailLength, cycleLength) {
+    if (!cycleLength) {
+        return `path of ${tailLength + 1} node(s), no cycle`;
+    }
+    return `tail ${tailLength}, cycle of ${cycleLength}`;
+}
+
+// Show exhaustive verification dialog
+// Runs the current agent programs on every rho-shaped graph up to a size limit
+function showProofDialog() {
+    // Create dialog overlay
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+    
+    const dialog = document.createElement('div');
+    dialog.className = 'dialog-box';
+    dialog.style.maxWidth = '600px';
+    dialog.style.width = '90%';
+    
+    const title = document.createElement('div');
+    title.className = 'dialog-title';
+    title.textContent = 'Prove Programs';
+    title.style.marginBottom = '15px';
+    
+    const form = document.createElement('div');
+    form.className = 'dialog-form';
+    const nodesField = createNumberField('Max nodes:', MAX_GENERATED_NODES, 1, 200);
+    form.appendChild(nodesField.label);
+    
+    const message = document.createElement('div');
+    message.className = 'dialog-message';
+    message.textContent = 'Checks every graph whose nodes have at most one outgoing edge, ' +
+        'from a single node up to the chosen size.';
+    
+    const buttonContainer = document.createElement('div');
+    buttonContainer.style.display = 'flex';
+    buttonContainer.style.gap = '10px';
+    buttonContainer.style.justifyContent = 'flex-end';
+    
+    const loadButton = document.createElement('button');
+    loadButton.className = 'dialog-button';
+    loadButton.textContent = 'Load counterexample';
+    loadButton.style.display = 'none';
+    
+    let counterexample = null;
+    loadButton.addEventListener('click', () => {
+        if (!counterexample) return;
+        displayGraph(counterexample.graph, []); // Proofs start every agent at node 0
+        document.body.removeChild(overlay);
+    });
+    
+    const runButton = document.createElement('button');
+    runButton.className = 'dialog-button';
+    runButton.textContent = 'Prove';
+    runButton.addEventListener('click', () => {
+        const programs = getActivePrograms();
+        const result = verifyPrograms(programs, {
+            maxNodes: Math.max(1, parseInt(nodesField.input.value) || MAX_GENERATED_NODES),
+            mode: getExecutionMode()
+        });
+        
+        counterexample = result.counterexample;
+        if (result.correct) {
+            dialog.className = 'dialog-box success';
+            message.textContent = `Correct on all ${result.checked} graphs.`;
+            loadButton.style.display = 'none';
+        } else {
+            dialog.className = 'dialog-box failure';
+            message.textContent = `Fails on ${describeShape(counterexample.tailLength, counterexample.cycleLength)} ` +
+                `(${OUTCOME_DESCRIPTIONS[counterexample.outcome]} after ${counterexample.ticks} tick(s)).`;
+            loadButton.style.display = '';
+        }
+    });
+    
+    const closeButton = document.createElement('button');
+    closeButton.className = 'dialog-button';
+    closeButton.textContent = 'Close';
+    closeButton.style.backgroundColor = '#666666';
+    closeButton.addEventListener('click', () => {
+        document.body.removeChild(overlay);
+    });
+    
+    buttonContainer.appendChild(closeButton);
+    buttonContainer.appendChild(loadButton);
+    buttonContainer.appendChild(runButton);
+    
+    // Close on overlay click
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            document.body.removeChild(overlay);
+        }
+    });
+    
+    dialog.appendChild(title);
+    dialog.appendChild(form);
+    dialog.appendChild(message);
+    dialog.appendChild(buttonContainer);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+}
+
+// Show generator settings dialog
+// Lets teachers set up focused drills, e.g. only tiny cycles or long tails with short loops
+function showGeneratorSettingsDialog() {
+    // Create dialog overlay
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+    
+    const dialog = document.createElement('div');
+    dialog.className = 'dialog-box';
+    dialog.style.maxWidth = '600px';
+    dialog.style.width = '90%';
+    
+    const title = document.createElement('div');
+    title.className = 'dialog-title';
+    title.textContent = 'Generator Settings';
+    title.style.marginBottom = '15px';
+    
+    const form = document.createElement('div');
+    form.className = 'dialog-form';
+    const fields = {
+        minNodes: createNumberField('Min nodes:', generatorSettings.minNodes, 1, 200),
+        maxNodes: createNumberField('Max nodes:', generatorSettings.maxNodes, 1, 200),
+        loopProbability: createNumberField('Loop chance (%):', Math.round(generatorSettings.loopProbability * 100), 0, 100),
+        minTailLength: createNumberField('Min tail:', generatorSettings.minTailLength, 0, 200),
+        maxTailLength: createNumberField('Max tail:', generatorSettings.maxTailLength, 0, 200),
+        minCycleLength: createNumberField('Min cycle:', generatorSettings.minCycleLength, 1, 200),
+        maxCycleLength: createNumberField('Max cycle:', generatorSettings.maxCycleLength, 1, 200)
+    };
+    Object.values(fields).forEach(field => form.appendChild(field.label));
+    
+    const tinyCyclesLabel = document.createElement('label');
+    tinyCyclesLabel.className = 'dialog-field';
+    const tinyCyclesInput = document.createElement('input');
+    tinyCyclesInput.type = 'checkbox';
+    tinyCyclesInput.checked = generatorSettings.allowTinyCycles;
+    tinyCyclesLabel.appendChild(tinyCyclesInput);
+    tinyCyclesLabel.appendChild(document.createTextNode('Allow self-loops and 2-node cycles'));
+    form.appendChild(tinyCyclesLabel);
+    
+    const message = document.createElement('div');
+    message.className = 'dialog-message';
+    message.textContent = 'Tail and cycle lengths apply to graphs with a loop. ' +
+        'Saving generates a new graph with these settings.';
+    
+    const buttonContainer = document.createElement('div');
+    buttonContainer.style.display = 'flex';
+    buttonContainer.style.gap = '10px';
+    buttonContainer.style.justifyContent = 'flex-end';
+    
+    const resetButton = document.createElement('button');
+    resetButton.className = 'dialog-button';
+    resetButton.textContent = 'Defaults';
+    resetButton.style.backgroundColor = '#666666';
+    resetButton.addEventListener('click', () => {
+        Object.entries(fields).forEach(([key, field]) => {
+            const value = DEFAULT_GENERATOR_SETTINGS[key];
+            field.input.value = key === 'loopProbability' ? Math.round(value * 100) : value;
+        });
+        tinyCyclesInput.checked = DEFAULT_GENERATOR_SETTINGS.allowTinyCycles;
+    });
+    
+    const saveButton = document.createElement('button');
+    saveButton.className = 'dialog-button';
+    saveButton.textContent = 'Save';
+    saveButton.addEventListener('click', () => {
+        const settings = { allowTinyCycles: tinyCyclesInput.checked };
+        Object.entries(fields).forEach(([key, field]) => {
+            const value = parseFloat(field.input.value);
+            settings[key] = key === 'loopProbability' ? value / 100 : value;
+        });
+        generatorSettings = normalizeGeneratorSettings(settings);
+        document.body.removeChild(overlay);
+        generateNewGraph();
+    });
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'dialog-button';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.style.backgroundColor = '#666666';
+    cancelButton.addEventListener('click', () => {
+        document.body.removeChild(overlay);
+    });
+    
+    buttonContainer.appendChild(resetButton);
+    buttonContainer.appendChild(cancelButton);
+    buttonContainer.appendChild(saveButton);
+    
+    // Close on overlay click
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            document.body.removeChild(overlay);
+        }
+    });
+    
+    dialog.appendChild(title);
+    dialog.appendChild(form);
+    dialog.appendChild(message);
+    dialog.appendChild(buttonContainer);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+}
+
+// Whether loop edges and loop annotations are hidden right now:
+// in blind mode the answer stays hidden until the tick shown has a loop or finished verdict
+// An undecided verdict reveals nothing, or turning the tick budget down to 1 would give the answer away
+function isLoopHidden() {
+    const verdict = runState && runState.verdict;
+    return blindMode.enabled && !(verdict && verdict.kind !== 'undecided');
+}
+
+// Draw loop edges purple, or routed and styled like every other edge while blind mode hides them
+function updateEdgeStyles() {
+    if (!svg) return;
+    const hidden = isLoopHidden();
+    const shown = d => d.isBackward && !hidden;
+    svg.selectAll('.forward-edges path, .loop-edges path')
+        .attr('d', edgePath)
+        .classed('loop-edge', shown)
+        .attr('marker-end', d => (shown(d) ? 'url(#arrowhead-purple)' : 'url(#arrowhead)'))
+        .attr('stroke', d => (shown(d) ? '#9932cc' : '#0066ff'))
+        .attr('stroke-width', d => (shown(d) ? 2.5 : 2));
+}
+
+// Read the blind mode settings from localStorage, so a locked blind mode survives reloading the page
+function loadBlindMode() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(BLIND_MODE_KEY));
+        return stored ? { enabled: Boolean(stored.enabled), pinHash: stored.pinHash || null } : { enabled: false, pinHash: null };
+    } catch (error) {
+        return { enabled: false, pinHash: null };
+    }
+}
+
+// Apply and store new blind mode settings
+function setBlindMode(settings) {
+    blindMode = settings;
+    try {
+        localStorage.setItem(BLIND_MODE_KEY, JSON.stringify(blindMode));
+    } catch (error) {
+        // Private browsing or storage disabled: the setting lasts until the page is reloaded
+    }
+    updateBlindModeButton();
+    updateEdgeStyles();
+}
+
+// Show on the 🙈 button whether blind mode is on and whether it is locked
+function updateBlindModeButton() {
+    const button = document.getElementById('blindMode');
+    button.classList.toggle('active', blindMode.enabled);
+    button.textContent = blindMode.pinHash ? '🔒' : '🙈';
+}
+
+// Hash a PIN so it isn't stored in plain text (FNV-1a; this keeps honest students out, not attackers)
+function hashPin(pin) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < pin.length; i++) {
+        hash ^= pin.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16);
+}
+
+// Show blind mode dialog
+// Unlocked: turn blind mode on or off, optionally locking it on with a PIN; locked: only the PIN unlocks it
+function showBlindModeDialog() {
+    // Create dialog overlay
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+    
+    const dialog = document.createElement('div');
+    dialog.className = 'dialog-box';
+    
+    const title = document.createElement('div');
+    title.className = 'dialog-title';
+    title.textContent = 'Blind Mode';
+    
+    const message = document.createElement('div');
+    message.className = 'dialog-message';
+    message.textContent = blindMode.pinHash
+        ? 'Blind mode is locked. Enter the PIN to unlock it.'
+        : 'Draw every edge alike and leave loop annotations out of 👓 until the run has a verdict.';
+    
+    const form = document.createElement('div');
+    form.className = 'dialog-form';
+    
+    const enabledField = document.createElement('label');
+    enabledField.className = 'dialog-field';
+    const enabledInput = document.createElement('input');
+    enabledInput.type = 'checkbox';
+    enabledInput.checked = blindMode.enabled;
+    enabledField.appendChild(enabledInput);
+    enabledField.appendChild(document.createTextNode('Hide loops'));
+    
+    const pinField = document.createElement('label');
+    pinField.className = 'dialog-field';
+    pinField.textContent = blindMode.pinHash ? 'PIN:' : 'Lock with PIN:';
+    const pinInput = document.createElement('input');
+    pinInput.type = 'password';
+    pinInput.autocomplete = 'off';
+    pinField.appendChild(pinInput);
+    
+    if (!blindMode.pinHash) {
+        form.appendChild(enabledField);
+    }
+    form.appendChild(pinField);
+    
+    const errorMessage = document.createElement('div');
+    errorMessage.className = 'dialog-error';
+    
+    const buttonContainer = document.createElement('div');
+    buttonContainer.style.display = 'flex';
+    buttonContainer.style.gap = '10px';
+    buttonContainer.style.justifyContent = 'flex-end';
+    
+    const saveButton = document.createElement('button');
+    saveButton.className = 'dialog-button';
+    saveButton.textContent = blindMode.pinHash ? 'Unlock' : 'Save';
+    saveButton.addEventListener('click', () => {
+        const pin = pinInput.value.trim();
+        if (blindMode.pinHash) {
+            if (hashPin(pin) !== blindMode.pinHash) {
+                errorMessage.textContent = 'Wrong PIN.';
+                pinInput.select();
+                return;
+            }
+            // Unlocking keeps blind mode on; it can be turned off afterwards
+            setBlindMode({ enabled: true, pinHash: null });
+        } else if (pin) {
+            // Locking always turns blind mode on
+            setBlindMode({ enabled: true, pinHash: hashPin(pin) });
+        } else {
+            setBlindMode({ enabled: enabledInput.checked, pinHash: null });
+        }
+        document.body.removeChild(overlay);
+    });
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'dialog-button';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.style.backgroundColor = '#666666';
+    cancelButton.addEventListener('click', () => {
+        document.body.removeChild(overlay);
+    });
+    
+    buttonContainer.appendChild(cancelButton);
+    buttonContainer.appendChild(saveButton);
+    
+    // Close on overlay click
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            document.body.removeChild(overlay);
+        }
+    });
+    
+    dialog.appendChild(title);
+    dialog.appendChild(message);
+    dialog.appendChild(form);
+    dialog.appendChild(errorMessage);
+    dialog.appendChild(buttonContainer);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+    
+    setTimeout(() => {
+        pinInput.focus();
+    }, 100);
+}
+
+// Longest program the agent editors accept: the level's limit in challenge mode
+function getMaxProgramLength() {
+    return challenge ? challenge.level.constraints.maxProgramLength : MAX_PROGRAM_LENGTH;
+}
+
+// Read the solved challenge levels from localStorage (empty when storage is unavailable or corrupt)
+function loadChallengeProgress() {
+    try {
+        return JSON.parse(localStorage.getItem(CHALLENGE_PROGRESS_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Store the solved challenge levels; progress is simply not kept when storage is unavailable
+function saveChallengeProgress(progress) {
+    try {
+        localStorage.setItem(CHALLENGE_PROGRESS_KEY, JSON.stringify(progress));
+    } catch (error) {
+        // Private browsing or storage disabled
+    }
+}
+
+// A level can be played once every level before it is solved
+function isLevelUnlocked(levelIndex, progress) {
+    return CHALLENGE_LEVELS.slice(0, levelIndex).every(level => progress[level.id]);
+}
+
+// Show the challenge levels with their rules and progress
+function showChallengeDialog() {
+    const progress = loadChallengeProgress();
+    
+    // Create dialog overlay
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+    
+    const dialog = document.createElement('div');
+    dialog.className = 'dialog-box evaluation-dialog';
+    
+    const title = document.createElement('div');
+    title.className = 'dialog-title';
+    title.textContent = 'Challenge Mode';
+    title.style.marginBottom = '15px';
+    
+    const levels = document.createElement('div');
+    levels.className = 'challenge-levels';
+    CHALLENGE_LEVELS.forEach((level, index) => {
+        const unlocked = isLevelUnlocked(index, progress);
+        const row = document.createElement('div');
+        row.className = 'challenge-level' + (unlocked ? '' : ' locked');
+        
+        const status = document.createElement('span');
+        status.className = 'challenge-level-status';
+        status.textContent = progress[level.id] ? '✅' : (unlocked ? '🔓' : '🔒');
+        
+        const text = document.createElement('div');
+        text.className = 'challenge-level-text';
+        const levelTitle = document.createElement('div');
+        levelTitle.className = 'challenge-level-title';
+        levelTitle.textContent = `${index + 1}. ${level.title}`;
+        const description = document.createElement('div');
+        description.textContent = level.description;
+        const rules = document.createElement('div');
+        rules.className = 'challenge-level-rules';
+        rules.textContent = describeLevelRules(level) + (level.mode ? ` · ${EXECUTION_MODES[level.mode]}` : '');
+        text.appendChild(levelTitle);
+        text.appendChild(description);
+        text.appendChild(rules);
+        
+        const playButton = document.createElement('button');
+        playButton.className = 'dialog-button';
+        playButton.textContent = 'Play';
+        playButton.disabled = !unlocked;
+        playButton.addEventListener('click', () => {
+            document.body.removeChild(overlay);
+            startChallengeLevel(level);
+        });
+        
+        row.appendChild(status);
+        row.appendChild(text);
+        row.appendChild(playButton);
+        levels.appendChild(row);
+    });
+    
+    const buttonContainer = document.createElement('div');
+    buttonContainer.style.display = 'flex';
+    buttonContainer.style.gap = '10px';
+    buttonContainer.style.justifyContent = 'flex-end';
+    
+    const resetButton = document.createElement('button');
+    resetButton.className = 'dialog-button';
+    resetButton.textContent = 'Reset progress';
+    resetButton.style.backgroundColor = '#993333';
+    resetButton.style.marginRight = 'auto';
+    resetButton.addEventListener('click', () => {
+        if (!confirm('Forget every solved level?')) return;
+        saveChallengeProgress({});
+        document.body.removeChild(overlay);
+        showChallengeDialog();
+    });
+    
+    const closeButton = document.createElement('button');
+    closeButton.className = 'dialog-button';
+    closeButton.textContent = 'Close';
+    closeButton.style.backgroundColor = '#666666';
+    closeButton.addEventListener('click', () => {
+        document.body.removeChild(overlay);
+    });
+    
+    buttonContainer.appendChild(resetButton);
+    if (challenge) {
+        const freePlayButton = document.createElement('button');
+        freePlayButton.className = 'dialog-button';
+        freePlayButton.textContent = 'Free play';
+        freePlayButton.addEventListener('click', () => {
+            document.body.removeChild(overlay);
+            leaveChallenge();
+        });
+        buttonContainer.appendChild(freePlayButton);
+    }
+    buttonContainer.appendChild(closeButton);
+    
+    // Close on overlay click
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            document.body.removeChild(overlay);
+        }
+    });
+    
+    dialog.appendChild(title);
+    dialog.appendChild(levels);
+    dialog.appendChild(buttonContainer);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+}
+
+// Play a challenge level: its rules replace the free-play settings and its first graph is shown
+// Agents start with the programs that last solved the level, if any
+function startChallengeLevel(level) {
+    if (isEditing) {
+        toggleEditMode();
+    }
+    stopPlacingAgents();
+    
+    challenge = { level, graphs: createLevelGraphs(level), graphIndex: 0 };
+    const solved = loadChallengeProgress()[level.id];
+    setAgentPrograms(solved ? solved.programs : new Array(level.constraints.maxAgents).fill(''));
+    setExecutionMode(level.mode || DEFAULT_EXECUTION_MODE);
+    document.getElementById('tickBudget').value = level.goal.maxTicks;
+    
+    showChallengeGraph(0);
+    setChallengeMode(true);
+}
+
+// Show one graph of the level being played, with every agent on node 0 as when the level is judged
+function showChallengeGraph(index) {
+    challenge.graphIndex = index;
+    displayGraph(challenge.graphs[index], []);
+    updateChallengeBanner();
+}
+
+// Go back to free play, keeping the current graph and programs
+function leaveChallenge() {
+    challenge = null;
+    setChallengeMode(false);
+}
+
+// Lock the settings a challenge level fixes, and show or hide the challenge banner
+function setChallengeMode(active) {
+    ['generateGraph', 'seedInput', 'generatorSettings', 'placeAgents', 'editGraph', 'loadGraph',
+        'executionMode', 'tickBudget', 'openReplay'].forEach(id => {
+        document.getElementById(id).disabled = active;
+    });
+    document.querySelectorAll('.agent-start').forEach(select => {
+        select.disabled = active;
+    });
+    document.querySelectorAll('.agent-textarea-container textarea').forEach(textarea => {
+        textarea.maxLength = getMaxProgramLength();
+    });
+    updateProgramDiagnostics();
+    Array.from(document.getElementById('numAgents').options).forEach(option => {
+        option.disabled = active && parseInt(option.value) > challenge.level.constraints.maxAgents;
+    });
+    
+    document.getElementById('challengeMode').classList.toggle('active', active);
+    const banner = document.getElementById('challengeBanner');
+    banner.hidden = !active;
+    if (active) {
+        updateChallengeBanner();
+    } else {
+        banner.innerHTML = '';
+    }
+}
+
+// Fill the challenge banner: level, rules, graph navigation and the submit button
+function updateChallengeBanner() {
+    const banner = document.getElementById('challengeBanner');
+    banner.innerHTML = '';
+    const { level, graphs, graphIndex } = challenge;
+    
+    const info = document.createElement('span');
+    info.textContent = `🏆 Level ${CHALLENGE_LEVELS.indexOf(level) + 1}: ${level.title}`;
+    
+    const rules = document.createElement('span');
+    rules.className = 'challenge-rules';
+    rules.textContent = describeLevelRules(level);
+    
+    const previousButton = document.createElement('button');
+    previousButton.textContent = '‹';
+    previousButton.title = 'Previous graph of the level';
+    previousButton.disabled = graphIndex === 0;
+    previousButton.addEventListener('click', () => showChallengeGraph(graphIndex - 1));
+    
+    const position = document.createElement('span');
+    position.textContent = `Graph ${graphIndex + 1} / ${graphs.length}`;
+    
+    const nextButton = document.createElement('button');
+    nextButton.textContent = '›';
+    nextButton.title = 'Next graph of the level';
+    nextButton.disabled = graphIndex === graphs.length - 1;
+    nextButton.addEventListener('click', () => showChallengeGraph(graphIndex + 1));
+    
+    const submitButton = document.createElement('button');
+    submitButton.textContent = 'Submit';
+    submitButton.title = 'Run the programs on every graph of the level';
+    submitButton.addEventListener('click', submitChallenge);
+    
+    [info, rules, previousButton, position, nextButton, submitButton].forEach(element => banner.appendChild(element));
+}
+
+// Judge the current programs on the whole level and show the result
+// A passed level is stored as solved, with the programs that solved it
+function submitChallenge() {
+    const programs = getActivePrograms();
+    const result = judgeLevel(challenge.level, programs);
+    if (result.passed) {
+        const progress = loadChallengeProgress();
+        progress[challenge.level.id] = { programs, solvedAt: new Date().toISOString() };
+        saveChallengeProgress(progress);
+    }
+    showChallengeResultDialog(challenge.level, result);
+}
+
+// Show how the programs did on every graph of a level, using the verdicts of showLoopDialog
+// Clicking a graph shows it so the run can be watched
+function showChallengeResultDialog(level, result) {
+    // Create dialog overlay
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+    
+    const dialog = document.createElement('div');
+    dialog.className = `dialog-box ${result.passed ? 'success' : 'failure'}`;
+    
+    const emojiElement = document.createElement('div');
+    emojiElement.className = 'dialog-emoji';
+    emojiElement.textContent = result.passed ? '🏆' : '😢';
+    
+    const titleElement = document.createElement('div');
+    titleElement.className = 'dialog-title';
+    titleElement.textContent = result.passed ? 'Level Solved!' : 'Not Yet';
+    
+    const details = document.createElement('div');
+    details.className = 'challenge-results';
+    if (result.violations.length > 0) {
+        result.violations.forEach(violation => {
+            const line = document.createElement('div');
+            line.textContent = `⚠️ ${violation}`;
+            details.appendChild(line);
+        });
+    }
+    result.results.forEach((graphResult, index) => {
+        const { emoji, title } = describeVerdict(graphResult.verdict);
+        const line = document.createElement('div');
+        line.className = 'challenge-result';
+        line.textContent = `${emoji} Graph ${index + 1}: ${title} (${graphResult.ticks} ticks)`;
+        line.title = 'Show this graph';
+        line.addEventListener('click', () => {
+            document.body.removeChild(overlay);
+            showChallengeGraph(index);
+        });
+        details.appendChild(line);
+    });
+    
+    const buttonContainer = document.createElement('div');
+    buttonContainer.style.display = 'flex';
+    buttonContainer.style.gap = '10px';
+    buttonContainer.style.justifyContent = 'center';
+    
+    const okButton = document.createElement('button');
+    okButton.className = 'dialog-button';
+    okButton.textContent = 'OK';
+    okButton.addEventListener('click', () => {
+        document.body.removeChild(overlay);
+    });
+    buttonContainer.appendChild(okButton);
+    
+    const nextLevel = CHALLENGE_LEVELS[CHALLENGE_LEVELS.indexOf(level) + 1];
+    if (result.passed && nextLevel) {
+        const nextButton = document.createElement('button');
+        nextButton.className = 'dialog-button';
+        nextButton.textContent = 'Next level';
+        nextButton.addEventListener('click', () => {
+            document.body.removeChild(overlay);
+            startChallengeLevel(nextLevel);
+        });
+        buttonContainer.appendChild(nextButton);
+    }
+    
+    // Close on overlay click
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            document.body.removeChild(overlay);
+        }
+    });
+    
+    dialog.appendChild(emojiElement);
+    dialog.appendChild(titleElement);
+    dialog.appendChild(details);
+    dialog.appendChild(buttonContainer);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+}
+
+// Read the tournament from localStorage, or null when none is running
+function loadTournament() {
+    try {
+        return JSON.parse(localStorage.getItem(TOURNAMENT_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Store the tournament (null ends it); without storage it lasts until the page is reloaded
+function saveTournament(tournament) {
+    try {
+        if (tournament) {
+            localStorage.setItem(TOURNAMENT_KEY, JSON.stringify(tournament));
+        } else {
+            localStorage.removeItem(TOURNAMENT_KEY);
+        }
+    } catch (error) {
+        // Private browsing or storage disabled
+    }
+}
+
+// Show tournament dialog
+// Without a tournament it sets one up; otherwise it registers teams, records their programs and shows the leaderboard
+function showTournamentDialog() {
+    // Create dialog overlay
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+    
+    const dialog = document.createElement('div');
+    dialog.className = 'dialog-box evaluation-dialog';
+    
+    const title = document.createElement('div');
+    title.className = 'dialog-title';
+    title.style.marginBottom = '15px';
+    
+    const content = document.createElement('div');
+    content.className = 'evaluation-results';
+    
+    const buttonContainer = document.createElement('div');
+    buttonContainer.style.display = 'flex';
+    buttonContainer.style.gap = '10px';
+    buttonContainer.style.justifyContent = 'flex-end';
+    
+    const closeDialog = () => document.body.removeChild(overlay);
+    const reopen = () => {
+        closeDialog();
+        showTournamentDialog();
+    };
+    // Set while a submission is being judged; the dialog stays open until it's recorded
+    let judging = false;
+    
+    const closeButton = document.createElement('button');
+    closeButton.className = 'dialog-button';
+    closeButton.textContent = 'Close';
+    closeButton.style.backgroundColor = '#666666';
+    closeButton.addEventListener('click', closeDialog);
+    
+    const tournament = loadTournament();
+    if (!tournament) {
+        title.textContent = 'New Tournament';
+        
+        const form = document.createElement('div');
+        form.className = 'dialog-form';
+        const nameField = createTextField('Name:', 'Tournament');
+        const graphsField = createNumberField('Graphs:', 20, 1, 1000);
+        const seedField = createNumberField('First seed:', randomSeed(), 0, 4294967295);
+        seedField.input.type = 'text';
+        const ticksField = createNumberField('Max ticks per graph:', DEFAULT_MAX_TICKS, 1, 10000);
+        [nameField, graphsField, seedField, ticksField].forEach(field => form.appendChild(field.label));
+        
+        const note = document.createElement('div');
+        note.textContent = `Every team runs on the same graphs, generated with the current ⚙️ settings, in "${EXECUTION_MODES[getExecutionMode()]}" mode.`;
+        content.appendChild(form);
+        content.appendChild(note);
+        
+        const createButton = document.createElement('button');
+        createButton.className = 'dialog-button';
+        createButton.textContent = 'Create';
+        createButton.addEventListener('click', () => {
+            saveTournament(createTournament({
+                name: nameField.input.value.trim(),
+                seed: parseSeed(seedField.input.value) ?? randomSeed(),
+                numGraphs: parseInt(graphsField.input.value) || 1,
+                maxTicks: parseInt(ticksField.input.value) || DEFAULT_MAX_TICKS,
+                mode: getExecutionMode(),
+                generatorSettings
+            }));
+            reopen();
+        });
+        
+        buttonContainer.appendChild(closeButton);
+        buttonContainer.appendChild(createButton);
+    } else {
+        title.textContent = tournament.name;
+        
+        const summary = document.createElement('div');
+        summary.className = 'evaluation-summary';
+        summary.textContent = `${tournament.numGraphs} graphs from seed ${tournament.seed} · ` +
+            `max ${tournament.maxTicks} ticks per graph · ${EXECUTION_MODES[tournament.mode]} · ` +
+            'ranked by correct graphs, then total ticks, then program length';
+        content.appendChild(summary);
+        
+        // Register a team
+        const teamForm = document.createElement('div');
+        teamForm.className = 'dialog-form';
+        const teamField = createTextField('Team:', '');
+        const addButton = document.createElement('button');
+        addButton.className = 'dialog-button';
+        addButton.textContent = 'Add team';
+        const teamError = document.createElement('div');
+        teamError.className = 'dialog-error';
+        addButton.addEventListener('click', () => {
+            if (!addTournamentTeam(tournament, teamField.input.value)) {
+                teamError.textContent = teamField.input.value.trim() ? 'A team with this name already exists.' : 'Enter a team name.';
+                return;
+            }
+            saveTournament(tournament);
+            reopen();
+        });
+        teamForm.appendChild(teamField.label);
+        teamForm.appendChild(addButton);
+        content.appendChild(teamForm);
+        content.appendChild(teamError);
+        
+        // Check a team's programs with the server's rules, then judge them a slice of graphs at a time
+        // so a large tournament doesn't freeze the page
+        const submitStatus = document.createElement('div');
+        const submitForTeam = (team) => {
+            const programs = getActivePrograms();
+            const problem = checkTournamentPrograms(programs, { maxAgents: MAX_AGENTS, maxProgramLength: MAX_PROGRAM_LENGTH });
+            if (problem) {
+                submitStatus.className = 'dialog-error';
+                submitStatus.textContent = `Can't submit for ${team.name}: ${problem}.`;
+                return;
+            }
+            judging = true;
+            dialog.querySelectorAll('button').forEach(button => {
+                button.disabled = true;
+            });
+            submitStatus.className = '';
+            const score = createTournamentScore(tournament, programs);
+            let index = 0;
+            const judgeSlice = () => {
+                const sliceEnd = Date.now() + 50;
+                while (index < tournament.numGraphs && Date.now() < sliceEnd) {
+                    scoreTournamentGraph(tournament, programs, index, score);
+                    index++;
+                }
+                if (index < tournament.numGraphs) {
+                    submitStatus.textContent = `Judging ${team.name}: ${index} / ${tournament.numGraphs} graphs…`;
+                    setTimeout(judgeSlice, 0);
+                    return;
+                }
+                submitTournamentPrograms(tournament, team, programs, new Date().toISOString(), score);
+                saveTournament(tournament);
+                reopen();
+            };
+            submitStatus.textContent = `Judging ${team.name}: 0 / ${tournament.numGraphs} graphs…`;
+            setTimeout(judgeSlice, 0);
+        };
+        
+        content.appendChild(createLeaderboardTable(tournament, submitForTeam, reopen));
+        content.appendChild(submitStatus);
+        
+        const endButton = document.createElement('button');
+        endButton.className = 'dialog-button';
+        endButton.textContent = 'End tournament';
+        endButton.style.backgroundColor = '#993333';
+        endButton.style.marginRight = 'auto';
+        endButton.addEventListener('click', () => {
+            if (!confirm(`End "${tournament.name}" and delete all teams and results?`)) return;
+            saveTournament(null);
+            reopen();
+        });
+        
+        const exportButton = document.createElement('button');
+        exportButton.className = 'dialog-button';
+        exportButton.textContent = 'Export CSV';
+        exportButton.addEventListener('click', () => {
+            const fileName = tournament.name.replace(/[^\w-]+/g, '-').toLowerCase() || 'tournament';
+            downloadTextFile(tournamentToCSV(tournament), `${fileName}.csv`, 'text/csv');
+        });
+        
+        buttonContainer.appendChild(endButton);
+        buttonContainer.appendChild(closeButton);
+        buttonContainer.appendChild(exportButton);
+    }
+    
+    // Close on overlay click
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay && !judging) {
+            closeDialog();
+        }
+    });
+    
+    dialog.appendChild(title);
+    dialog.appendChild(content);
+    dialog.appendChild(buttonContainer);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+}
+
+// Build the leaderboard table: every team with its best submission and buttons to record or remove it
+// onSubmit(team) records the current programs for a team; onChange is called after a team was removed
+function createLeaderboardTable(tournament, onSubmit, onChange) {
+    const table = document.createElement('table');
+    table.className = 'evaluation-table';
+    
+    const caption = document.createElement('caption');
+    caption.textContent = 'Leaderboard';
+    table.appendChild(caption);
+    
+    const headerRow = document.createElement('tr');
+    ['Rank', 'Team', 'Correct', 'Ticks', 'Length', 'Programs', 'Submissions', ''].forEach(label => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        headerRow.appendChild(th);
+    });
+    table.appendChild(headerRow);
+    
+    rankTournamentTeams(tournament).forEach(({ rank, team, submission }) => {
+        const row = document.createElement('tr');
+        if (submission && submission.score.correct < submission.score.graphs) {
+            row.className = 'evaluation-failing';
+        }
+        const cells = submission
+            ? [rank, team.name, `${submission.score.correct} / ${submission.score.graphs}`, submission.score.ticks,
+                submission.score.length, submission.programs.join(' | '), team.submissions.length]
+            : ['–', team.name, '–', '–', '–', '–', 0];
+        cells.forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            row.appendChild(td);
+        });
+        
+        const actions = document.createElement('td');
+        const submitButton = document.createElement('button');
+        submitButton.className = 'tournament-action';
+        submitButton.textContent = 'Submit';
+        submitButton.title = `Record the current programs for ${team.name} and run them on every graph`;
+        submitButton.addEventListener('click', () => onSubmit(team));
+        const removeButton = document.createElement('button');
+        removeButton.className = 'tournament-action';
+        removeButton.textContent = '✕';
+        removeButton.title = `Remove ${team.name}`;
+        removeButton.addEventListener('click', () => {
+            if (!confirm(`Remove ${team.name} and its submissions?`)) return;
+            tournament.teams.splice(tournament.teams.indexOf(team), 1);
+            saveTournament(tournament);
+            onChange();
+        });
+        actions.appendChild(submitButton);
+        actions.appendChild(removeButton);
+        row.appendChild(actions);
+        
+        table.appendChild(row);
+    });
+    
+    return table;
+}
+
+// Ask the server this page came from whether it is a competition server (server.js)
+// If so, its rules are kept in competitionServer and 📤 is shown
+function detectCompetitionServer() {
+    if (!/^https?:$/.test(window.location.protocol) || typeof fetch !== 'function') return;
+    fetch('api/info')
+        .then(response => (response.ok ? response.json() : null))
+        .then(info => {
+            if (!info || !info.competition) return;
+            competitionServer = info;
+            document.getElementById('submitToServer').hidden = false;
+        })
+        .catch(() => {
+            // A plain web server: no competition
+        });
+}
+
+// Show the dialog that submits the current programs to the competition server
+// The server judges them on its hidden graphs and answers with the team's score and rank
+function showServerSubmitDialog() {
+    // Create dialog overlay
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+    
+    const dialog = document.createElement('div');
+    dialog.className = 'dialog-box';
+    dialog.style.maxWidth = '500px';
+    
+    const title = document.createElement('div');
+    title.className = 'dialog-title';
+    title.textContent = competitionServer.name;
+    
+    const programs = getActivePrograms();
+    const message = document.createElement('div');
+    message.className = 'dialog-message';
+    message.textContent = `Programs ${programs.join(' | ') || '(none)'} will be judged on ${competitionServer.graphs} hidden graphs, ` +
+        `${competitionServer.maxTicks} ticks each, in "${EXECUTION_MODES[competitionServer.mode]}" mode.`;
+    if (competitionServer.mode !== getExecutionMode()) {
+        message.textContent += ' Note: this differs from the mode selected here.';
+    }
+    
+    const form = document.createElement('div');
+    form.className = 'dialog-form';
+    const teamField = createTextField('Team:', localStorage.getItem(TEAM_NAME_KEY) || '');
+    form.appendChild(teamField.label);
+    
+    const resultMessage = document.createElement('div');
+    resultMessage.className = 'dialog-error';
+    
+    const buttonContainer = document.createElement('div');
+    buttonContainer.style.display = 'flex';
+    buttonContainer.style.gap = '10px';
+    buttonContainer.style.justifyContent = 'flex-end';
+    
+    const scoreboardLink = document.createElement('a');
+    scoreboardLink.href = 'scoreboard';
+    scoreboardLink.target = '_blank';
+    scoreboardLink.textContent = 'Scoreboard';
+    scoreboardLink.style.color = '#66aaff';
+    scoreboardLink.style.marginRight = 'auto';
+    scoreboardLink.style.alignSelf = 'center';
+    
+    const submitButton = document.createElement('button');
+    submitButton.className = 'dialog-button';
+    submitButton.textContent = 'Submit';
+    submitButton.addEventListener('click', () => {
+        const team = teamField.input.value.trim();
+        if (!team) {
+            resultMessage.textContent = 'Enter your team name.';
+            return;
+        }
+        localStorage.setItem(TEAM_NAME_KEY, team);
+        submitButton.disabled = true;
+        resultMessage.style.color = '';
+        resultMessage.textContent = 'Judging…';
+        
+        fetch('api/submissions', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ team, programs })
+        })
+            .then(response => response.json().then(data => {
+                if (!response.ok) throw new Error(data.error || `Server error ${response.status}`);
+                return data;
+            }))
+            .then(result => {
+                resultMessage.style.color = '#66cc66';
+                resultMessage.textContent = `${result.score.correct} / ${result.score.graphs} correct · ` +
+                    `${result.score.ticks} ticks · length ${result.score.length} · your team is ranked #${result.rank}`;
+            })
+            .catch(error => {
+                resultMessage.textContent = `Submission failed: ${error.message}`;
+            })
+            .finally(() => {
+                submitButton.disabled = false;
+            });
+    });
+    
+    const closeButton = document.createElement('button');
+    closeButton.className = 'dialog-button';
+    closeButton.textContent = 'Close';
+    closeButton.style.backgroundColor = '#666666';
+    closeButton.addEventListener('click', () => {
+        document.body.removeChild(overlay);
+    });
+    
+    buttonContainer.appendChild(scoreboardLink);
+    buttonContainer.appendChild(closeButton);
+    buttonContainer.appendChild(submitButton);
+    
+    // Close on overlay click
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            document.body.removeChild(overlay);
+        }
+    });
+    
+    dialog.appendChild(title);
+    dialog.appendChild(message);
+    dialog.appendChild(form);
+    dialog.appendChild(resultMessage);
+    dialog.appendChild(buttonContainer);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+}
+
+// Lint an agent's program under the current execution mode
+// Returns the warnings of lintProgram
+function lintAgentProgram(agentId) {
+    const textarea = document.getElementById(`agentTextArea${agentId}`);
+    return lintProgram(textarea.value, { mode: getExecutionMode(), maxLength: getMaxProgramLength() });
+}
+
+// List the linter's warnings under every agent's editor, each with its quick-fix
+// Runs on every keystroke; it only reads the programs, so nothing is simulated
+function updateProgramDiagnostics() {
+    document.querySelectorAll('.program-lint').forEach((list, agentId) => {
+        const textarea = document.getElementById(`agentTextArea${agentId}`);
+        list.innerHTML = '';
+        lintAgentProgram(agentId).forEach(warning => {
+            const item = document.createElement('div');
+            item.className = 'lint-item';
+            const message = document.createElement('span');
+            message.textContent = `⚠ ${warning.message}`;
+            item.appendChild(message);
+
+            if (warning.fix) {
+                const fixButton = document.createElement('button');
+                fixButton.textContent = warning.fix.label;
+                fixButton.title = `Change the program to ${warning.fix.program}`;
+                fixButton.disabled = textarea.readOnly || textarea.disabled;
+                fixButton.addEventListener('click', () => {
+                    textarea.value = warning.fix.program;
+                    updateProgramDiagnostics();
+                    textarea.focus();
+                });
+                item.appendChild(fixButton);
+            }
+            list.appendChild(item);
+        });
+    });
+    updateProgramHighlights();
+}
+
+// Turn the phase-by-phase debugger on or off
+// A tick being stepped through is only shown; it joins the run once its last phase has been stepped past
+function toggleDebugMode() {
+    const banner = document.getElementById('debugBanner');
+    if (debugMode) {
+        // A tick left partway through is dropped, and the agents go back to where the run really is
+        debugMode = null;
+        runState = runTrace[traceIndex].state;
+        banner.innerHTML = '';
+        banner.hidden = true;
+        document.getElementById('debugMode').classList.remove('active');
+        updateProgramHighlights();
+        updateAgents();
+        return;
+    }
+
+    if (isProgressing) {
+        stopProgressing();
+    }
+    debugMode = { breakpoints: [], session: null, paused: null };
+    document.getElementById('debugMode').classList.add('active');
+    renderDebugBanner();
+    updateDebugView();
+}
+
+// Build the debugger's banner: status line, stepping buttons and breakpoints
+function renderDebugBanner() {
+    const banner = document.getElementById('debugBanner');
+    banner.innerHTML = '';
+    banner.hidden = false;
+
+    const status = document.createElement('span');
+    status.id = 'debugStatus';
+    status.className = 'debug-status';
+
+    const controls = document.createElement('span');
+    controls.className = 'debug-controls';
+    [
+        { id: 'debugStepPhase', text: '⤵ Phase', title: 'Run the next phase of the current round', action: () => runDebugger('phase') },
+        { id: 'debugFinishTick', text: '⏭ Tick', title: 'Run the rest of this tick', action: () => runDebugger('tick') },
+        { id: 'debugContinue', text: '▶ Continue', title: 'Run until a breakpoint is hit or the run has a verdict', action: () => runDebugger('breakpoint') },
+        { id: 'debugExit', text: 'Exit debugger', title: 'Leave the debugger', action: toggleDebugMode }
+    ].forEach(({ id, text, title, action }) => {
+        const button = document.createElement('button');
+        button.id = id;
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', action);
+        controls.appendChild(button);
+    });
+
+    const breakpoints = document.createElement('div');
+    breakpoints.className = 'debug-breakpoints';
+    const label = document.createElement('span');
+    label.textContent = 'Breakpoints:';
+    const list = document.createElement('span');
+    list.id = 'debugBreakpointList';
+    list.className = 'debug-breakpoint-list';
+    const form = document.createElement('span');
+    form.id = 'debugBreakpointForm';
+    form.className = 'debug-breakpoint-form';
+    [label, list, form].forEach(element => breakpoints.appendChild(element));
+
+    [status, controls, breakpoints].forEach(element => banner.appendChild(element));
+    renderDebugBreakpoints();
+    renderDebugBreakpointForm();
+}
+
+// Fill the form for adding a breakpoint; the agent and node lists follow the current setup
+function renderDebugBreakpointForm() {
+    const form = document.getElementById('debugBreakpointForm');
+    if (!form || !graph) return;
+    form.innerHTML = '';
+
+    const typeSelect = document.createElement('select');
+    Object.entries(DEBUG_BREAKPOINT_TYPES).forEach(([type, text]) => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = text;
+        typeSelect.appendChild(option);
+    });
+
+    const agentSelect = document.createElement('select');
+    const numAgents = parseInt(document.getElementById('numAgents').value) || 1;
+    for (let i = 0; i < numAgents; i++) {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = `Agent ${i + 1}`;
+        agentSelect.appendChild(option);
+    }
+
+    const nodeSelect = document.createElement('select');
+    graph.nodes.slice().sort((a, b) => a.id - b.id).forEach(node => {
+        const option = document.createElement('option');
+        option.value = node.id;
+        option.textContent = getNodeLabel(node.id);
+        nodeSelect.appendChild(option);
+    });
+
+    // Only the node breakpoint needs an agent and a node
+    const updateFields = () => {
+        agentSelect.hidden = typeSelect.value !== 'node';
+        nodeSelect.hidden = typeSelect.value !== 'node';
+    };
+    typeSelect.addEventListener('change', updateFields);
+    updateFields();
+
+    const addButton = document.createElement('button');
+    addButton.textContent = 'Add';
+    addButton.addEventListener('click', () => {
+        const breakpoint = typeSelect.value === 'node'
+            ? { type: 'node', agentId: parseInt(agentSelect.value), nodeId: parseInt(nodeSelect.value) }
+            : { type: typeSelect.value };
+        const key = describeBreakpoint(breakpoint);
+        if (!debugMode.breakpoints.some(existing => describeBreakpoint(existing) === key)) {
+            debugMode.breakpoints.push(breakpoint);
+        }
+        renderDebugBreakpoints();
+    });
+
+    [typeSelect, agentSelect, nodeSelect, addButton].forEach(element => form.appendChild(element));
+}
+
+// List the breakpoints, each with a button to remove it
+function renderDebugBreakpoints() {
+    const list = document.getElementById('debugBreakpointList');
+    list.innerHTML = '';
+    if (debugMode.breakpoints.length === 0) {
+        list.textContent = 'none';
+        return;
+    }
+    debugMode.breakpoints.forEach(breakpoint => {
+        const item = document.createElement('span');
+        item.className = 'debug-breakpoint';
+        item.textContent = describeBreakpoint(breakpoint);
+        const removeButton = document.createElement('button');
+        removeButton.textContent = '✕';
+        removeButton.title = 'Remove this breakpoint';
+        removeButton.addEventListener('click', () => {
+            debugMode.breakpoints = debugMode.breakpoints.filter(existing => existing !== breakpoint);
+            renderDebugBreakpoints();
+        });
+        item.appendChild(removeButton);
+        list.appendChild(item);
+    });
+}
+
+// Describe a breakpoint in a few words
+function describeBreakpoint(breakpoint) {
+    if (breakpoint.type === 'node') {
+        return `A${breakpoint.agentId + 1} reaches ${getNodeLabel(breakpoint.nodeId)}`;
+    }
+    return breakpoint.type === 'meeting' ? 'first meeting' : 'before L';
+}
+
+// Start stepping through the next tick
+// The engine runs the whole tick up front and records every phase, so stepping shows exactly what a normal run does
+// Returns false when the run already has a verdict
+function startDebugTick() {
+    if (!graph || !runState || runState.verdict) return false;
+    const programs = runState.agents.map(agent => getAgentInstructions(agent.id));
+    const maxTicks = getTickBudget();
+    const result = simulateTick(graph, runState, programs, { maxTicks, recordPhases: true });
+    debugMode.session = { fromState: runState, programs: programs.map(normalizeProgram), maxTicks, result, index: -1 };
+    return true;
+}
+
+// Move the debugger on by one phase, showing the agents where that phase leaves them
+// Returns the phase reached, or null once the tick has joined the run (or when there is nothing left to run)
+function stepDebugPhase() {
+    if (!debugMode.session && !startDebugTick()) return null;
+    const session = debugMode.session;
+    const phases = session.result.events.phases;
+    session.index++;
+    if (session.index >= phases.length) {
+        commitDebugTick();
+        return null;
+    }
+
+    const phase = phases[session.index];
+    runState = {
+        ...session.fromState,
+        agents: session.fromState.agents.map((agent, index) => ({
+            ...agent,
+            currentNode: phase.agents[index].nodeId,
+            finished: phase.agents[index].finished
+        }))
+    };
+    return phase;
+}
+
+// Make the tick being stepped through part of the run, as if it had been run in one go
+// Returns the engine's { state, verdict, events } like advanceRun
+function commitDebugTick() {
+    const { fromState, programs, maxTicks, result } = debugMode.session;
+    debugMode.session = null;
+    runState = fromState;
+    const { phases, ...events } = result.events;
+    return recordTick({ ...result, events }, programs, maxTicks);
+}
+
+// Step the debugger: one phase ('phase'), to the end of the tick ('tick'), or on until a breakpoint
+// ('breakpoint'); a breakpoint hit on the way or a verdict stops it early
+function runDebugger(until) {
+    if (!runState || runState.verdict) return;
+    if (isProgressing) {
+        stopProgressing();
+    }
+    debugMode.paused = null;
+    while (!runState.verdict) {
+        const phase = stepDebugPhase();
+        const breakpoint = phase && findHitBreakpoint(phase);
+        if (breakpoint) {
+            debugMode.paused = breakpoint;
+            break;
+        }
+        if (until === 'phase' || (until === 'tick' && phase === null)) break;
+    }
+
+    updateAgents();
+    updateTimeline();
+    if (runState.verdict) {
+        showLoopDialog(runState.verdict);
+    }
+}
+
+// Find the first breakpoint a phase hits, or null
+// Node breakpoints are hit when the agent enters the node, even when passing through it in a run of S's
+// L breakpoints are hit on the decision to run an L, or after the moves that make agents overlap with an L ahead
+function findHitBreakpoint(phase) {
+    return debugMode.breakpoints.find(breakpoint => {
+        if (breakpoint.type === 'loop') {
+            return phase.phase === 2 ? phase.decisions.some(decision => decision.loopCheck) : phase.loop === 'overlap';
+        }
+        if (phase.phase !== 3) return false;
+        if (breakpoint.type === 'node') {
+            return phase.moves.some(move => move.agentId === breakpoint.agentId && move.route.slice(1).includes(breakpoint.nodeId));
+        }
+        return phase.meetings.length > 0 && !hasEarlierMeeting();
+    }) || null;
+}
+
+// Whether agents met before the phase the debugger is on, earlier in this tick or in an earlier one
+function hasEarlierMeeting() {
+    const session = debugMode.session;
+    return runTrace.slice(1, traceIndex + 1).some(entry => entry.events.meetings.length > 0) ||
+        session.result.events.phases.slice(0, session.index).some(phase => phase.phase === 3 && phase.meetings.length > 0);
+}
+
+// Get the phase the debugger is on, or null between ticks
+function getDebugPhase() {
+    const session = debugMode.session;
+    return session ? session.result.events.phases[session.index] : null;
+}
+
+// Update the debugger's status line, buttons and program highlights
+function updateDebugView() {
+    const status = document.getElementById('debugStatus');
+    const phase = getDebugPhase();
+    const paused = debugMode.paused ? `⏸ Breakpoint: ${describeBreakpoint(debugMode.paused)} · ` : '';
+    status.textContent = paused + (phase ? describeDebugPhase(phase) : describeDebugTickBoundary());
+
+    ['debugStepPhase', 'debugFinishTick', 'debugContinue'].forEach(id => {
+        document.getElementById(id).disabled = Boolean(runState && runState.verdict);
+    });
+    updateProgramHighlights();
+}
+
+// Describe where the run stands between ticks
+function describeDebugTickBoundary() {
+    if (!runState) return '';
+    if (runState.verdict) return `Tick ${runState.tick} · the run is over`;
+    return `Tick ${runState.tick} · ⤵ starts round 1 of tick ${runState.tick + 1}`;
+}
+
+// Describe a phase: the C results it evaluated, the instructions it decided on, or what they did
+function describeDebugPhase(phase) {
+    const session = debugMode.session;
+    const parts = [`Tick ${session.fromState.tick + 1} · round ${phase.round + 1} · ` +
+        `phase ${phase.phase} (${DEBUG_PHASE_NAMES[phase.phase]})`];
+
+    if (phase.phase === 1) {
+        phase.conditions.forEach(condition => {
+            parts.push(`C of A${condition.agentId + 1} on ${getNodeLabel(condition.nodeId)}: ${condition.fired}`);
+        });
+        if (phase.conditions.length === 0) {
+            parts.push('no C to evaluate');
+        }
+    } else if (phase.phase === 2) {
+        const decisions = phase.decisions.filter(decision => decision.length > 0);
+        decisions.forEach(decision => {
+            const text = session.programs[decision.agentId].substr(decision.position, decision.length);
+            if (decision.loopCheck) {
+                parts.push(`A${decision.agentId + 1} is about to run L`);
+            } else {
+                parts.push(`A${decision.agentId + 1} ${decision.instruction ? 'runs' : 'skips'} ${text}`);
+            }
+        });
+        if (decisions.length === 0) {
+            parts.push('nothing left to run');
+        }
+    } else {
+        phase.moves.forEach(move => {
+            parts.push(`A${move.agentId + 1} → ${getNodeLabel(move.route[move.route.length - 1])}`);
+        });
+        phase.meetings.forEach(meeting => {
+            const agentNames = meeting.agentIds.map(id => `A${id + 1}`).join(', ');
+            parts.push(`${agentNames} met at ${getNodeLabel(meeting.nodeId)}`);
+        });
+        if (phase.loop === 'instruction') {
+            parts.push('L ends the tick');
+        } else if (phase.loop === 'overlap') {
+            parts.push('agents overlap with an L ahead, which ends the tick');
+        } else if (phase.moves.length === 0) {
+            parts.push('no moves');
+        }
+    }
+
+    return parts.join(' · ');
+}
+
+// Mark characters behind every agent's program text: the debugger's marks while it is on, otherwise the
+// characters the linter warns about
+function updateProgramHighlights() {
+    document.querySelectorAll('.program-highlight').forEach((highlight, agentId) => {
+        highlight.innerHTML = '';
+        const text = document.getElementById(`agentTextArea${agentId}`).value;
+        const marks = debugMode ? getProgramMarks(agentId, text.length) : getLintMarks(agentId, text.length);
+        // Consecutive characters with the same mark share a span
+        for (let start = 0; start < text.length;) {
+            let end = start + 1;
+            while (end < text.length && marks[end] === marks[start]) end++;
+            const span = document.createElement('span');
+            span.textContent = text.slice(start, end);
+            if (marks[start]) {
+                span.className = marks[start];
+            }
+            highlight.appendChild(span);
+            start = end;
+        }
+    });
+}
+
+// Mark the characters of an agent's program that a linter warning is about
+// Returns one class name (or '') per character
+function getLintMarks(agentId, length) {
+    const marks = new Array(length).fill('');
+    lintAgentProgram(agentId).forEach(warning => {
+        for (let i = warning.position; i < Math.min(length, warning.position + warning.length); i++) {
+            marks[i] = 'lint-warning';
+        }
+    });
+    return marks;
+}
+
+// Work out how to mark each character of an agent's program for the phase the debugger is on
+// debug-current: the instruction the agent is on, or is running in the decision phase
+// debug-done / debug-skipped: run, or passed over, this round
+// debug-true / debug-false: a C evaluated this round, and its result
+// Returns one class name (or '') per character
+function getProgramMarks(agentId, length) {
+    const marks = new Array(length).fill('');
+    const mark = (start, count, className) => {
+        for (let i = start; i < Math.min(length, start + count); i++) {
+            marks[i] = className;
+        }
+    };
+
+    const phase = getDebugPhase();
+    if (!phase) {
+        // Between ticks: where the next tick starts
+        const agent = runState && runState.agents[agentId];
+        if (agent && !agent.finished && !runState.verdict) {
+            mark(runState.mode === 'persistent' ? agent.pc : 0, 1, 'debug-current');
+        }
+        return marks;
+    }
+
+    const phases = debugMode.session.result.events.phases;
+    const roundPhase = number => phases.find(other => other.round === phase.round && other.phase === number);
+    const agent = phase.agents[agentId];
+    if (!agent) return marks;
+
+    if (phase.phase >= 2) {
+        roundPhase(2).decisions.filter(decision => decision.agentId === agentId).forEach(decision => {
+            const className = decision.instruction ? 'debug-current' : 'debug-skipped';
+            mark(decision.position, decision.length, phase.phase === 3 && decision.instruction ? 'debug-done' : className);
+        });
+    }
+    if (phase.phase !== 2 && !agent.finished) {
+        mark(agent.position, 1, 'debug-current');
+    }
+    roundPhase(1).conditions.filter(condition => condition.agentId === agentId).forEach(condition => {
+        mark(condition.position, 1, condition.fired ? 'debug-true' : 'debug-false');
+    });
+    return marks;
+}
+
 // Initialize when page loads
 window.addEventListener('DOMContentLoaded', init);
 
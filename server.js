@@ -0,0 +1,338 @@
+// Optional competition server for classroom events
+// Serves the app, judges the programs teams submit on a hidden graph set and pushes a live scoreboard
+// Uses only Node's standard library and never contacts outside services, so it runs offline on a classroom LAN
+//
+// Usage: node server.js [--port 8080] [--name "Spring Cup"] [--graphs 30] [--max-ticks 200] [--mode restart]
+//                       [--seed 1234] [--data ./competition-data]
+// The graph set (seed, size, rules) is chosen when the data directory is first created and kept there,
+// so restarting the server keeps the same graphs and the scoreboard rebuilt from the submission logs
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_MAX_TICKS, EXECUTION_MODES, DEFAULT_EXECUTION_MODE, normalizeProgram, parseSeed, randomSeed } = require('./engine.js');
+const {
+    createTournament, addTournamentTeam, findTournamentTeam, checkTournamentPrograms, submitTournamentPrograms, rankTournamentTeams
+} = require('./tournament.js');
+
+// Files of the app the server hands out; nothing else in the project directory is served
+const STATIC_FILES = {
+    '/': ['index.html', 'text/html'],
+    '/index.html': ['index.html', 'text/html'],
+    '/style.css': ['style.css', 'text/css'],
+    '/engine.js': ['engine.js', 'text/javascript'],
+    '/formats.js': ['formats.js', 'text/javascript'],
+    '/challenges.js': ['challenges.js', 'text/javascript'],
+    '/tournament.js': ['tournament.js', 'text/javascript'],
+    '/lint.js': ['lint.js', 'text/javascript'],
+    '/script.js': ['script.js', 'text/javascript'],
+    // Local copy of D3 for browsers without internet access (see the README)
+    '/vendor/d3.v7.min.js': ['vendor/d3.v7.min.js', 'text/javascript']
+};
+
+// Limits on what a submission may contain (the same as the app's editors)
+const MAX_TEAM_NAME_LENGTH = 40;
+const MAX_AGENTS = 10;
+const MAX_PROGRAM_LENGTH = 10;
+const MAX_REQUEST_BYTES = 10000;
+
+// Parse --name value pairs from the command line
+function parseArguments(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+            throw new Error(`Unexpected argument ${argv[i]}`);
+        }
+        options[argv[i].slice(2)] = argv[i + 1];
+    }
+    return options;
+}
+
+// Load the competition from the data directory, creating it from the options on first start
+// Team scores come from the per-team submission logs, so nothing is judged twice
+function loadCompetition(dataDir, options) {
+    const configPath = path.join(dataDir, 'competition.json');
+    let config;
+    if (fs.existsSync(configPath)) {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } else {
+        const mode = options.mode || DEFAULT_EXECUTION_MODE;
+        if (!EXECUTION_MODES[mode]) {
+            throw new Error(`Unknown mode ${mode} (use ${Object.keys(EXECUTION_MODES).join(' or ')})`);
+        }
+        const seed = options.seed !== undefined ? parseSeed(options.seed) : randomSeed();
+        if (seed === null) {
+            throw new Error(`Invalid seed ${options.seed}`);
+        }
+        config = createTournament({
+            name: options.name || 'LoopFinder Competition',
+            seed,
+            numGraphs: parseInt(options.graphs) || 30,
+            maxTicks: parseInt(options['max-ticks']) || DEFAULT_MAX_TICKS,
+            mode
+        });
+        fs.mkdirSync(path.join(dataDir, 'teams'), { recursive: true });
+        fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    }
+
+    const competition = { ...config, teams: [] };
+    const teamsDir = path.join(dataDir, 'teams');
+    fs.readdirSync(teamsDir).filter(file => file.endsWith('.jsonl')).forEach(file => {
+        fs.readFileSync(path.join(teamsDir, file), 'utf8').split('\n').filter(Boolean).forEach(line => {
+            const entry = JSON.parse(line);
+            const team = findTournamentTeam(competition, entry.team) || addTournamentTeam(competition, entry.team);
+            team.submissions.push({ programs: entry.programs, submittedAt: entry.submittedAt, score: entry.score });
+        });
+    });
+    return competition;
+}
+
+// File name of a team's submission log; the name is reduced to safe characters plus a short hash to keep it unique
+function teamLogFile(dataDir, teamName) {
+    const key = teamName.toLowerCase();
+    let hash = 0;
+    for (let i = 0; i < key.length; i++) {
+        hash = (Math.imul(hash, 31) + key.charCodeAt(i)) >>> 0;
+    }
+    const slug = key.replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'team';
+    return path.join(dataDir, 'teams', `${slug}-${hash.toString(16)}.jsonl`);
+}
+
+// Check a submission's JSON body and return { team, programs }; throws with a message for the team otherwise
+function validateSubmission(body) {
+    if (!body || typeof body !== 'object') {
+        throw new Error('Submission must be a JSON object with team and programs');
+    }
+    const team = typeof body.team === 'string' ? body.team.trim() : '';
+    if (!team || team.length > MAX_TEAM_NAME_LENGTH) {
+        throw new Error(`Team name must be 1 to ${MAX_TEAM_NAME_LENGTH} characters`);
+    }
+    const problem = checkTournamentPrograms(body.programs, { maxAgents: MAX_AGENTS, maxProgramLength: MAX_PROGRAM_LENGTH });
+    if (problem) {
+        throw new Error(problem);
+    }
+    return { team, programs: body.programs.map(normalizeProgram) };
+}
+
+// Public view of the scoreboard: every team's best score, without the hidden graphs
+function getScoreboard(competition) {
+    return {
+        name: competition.name,
+        graphs: competition.numGraphs,
+        updatedAt: new Date().toISOString(),
+        teams: rankTournamentTeams(competition).map(({ rank, team, submission }) => ({
+            rank,
+            team: team.name,
+            submissions: team.submissions.length,
+            score: submission ? submission.score : null,
+            submittedAt: submission ? submission.submittedAt : null
+        }))
+    };
+}
+
+// Read a request body as JSON, rejecting bodies over MAX_REQUEST_BYTES
+function readJSONBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_REQUEST_BYTES) {
+                reject(new Error('Submission too large'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(new Error('Submission must be JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+// Send a JSON response
+function sendJSON(response, status, data) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(data));
+}
+
+// Scoreboard page; it fills itself from the server-sent events at /api/events
+const SCOREBOARD_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>LoopFinder Scoreboard</title>
+    <style>
+        body { background: #000000; color: #ffffff; font-family: Arial, sans-serif; padding: 30px; }
+        h1 { margin-bottom: 5px; }
+        #status { color: #999999; margin-bottom: 20px; }
+        table { border-collapse: collapse; width: 100%; font-size: 22px; }
+        th { color: #999999; font-weight: normal; text-align: right; padding: 8px; border-bottom: 2px solid #333333; }
+        td { text-align: right; padding: 8px; border-bottom: 1px solid #333333; font-family: monospace; }
+        th:nth-child(2), td:nth-child(2) { text-align: left; font-family: Arial, sans-serif; }
+        tr.fresh td { background: #003366; }
+    </style>
+</head>
+<body>
+    <h1 id="title">Scoreboard</h1>
+    <div id="status">Connecting…</div>
+    <table>
+        <thead><tr><th>Rank</th><th>Team</th><th>Correct</th><th>Total ticks</th><th>Length</th><th>Submissions</th></tr></thead>
+        <tbody id="teams"></tbody>
+    </table>
+    <script>
+        // Redraw the table on every update the server pushes
+        const events = new EventSource('api/events');
+        let previous = {};
+        events.onmessage = (event) => {
+            const board = JSON.parse(event.data);
+            document.getElementById('title').textContent = board.name;
+            document.getElementById('status').textContent =
+                board.graphs + ' hidden graphs · updated ' + new Date(board.updatedAt).toLocaleTimeString();
+            const body = document.getElementById('teams');
+            body.innerHTML = '';
+            board.teams.forEach(entry => {
+                const row = document.createElement('tr');
+                const score = entry.score;
+                const cells = score
+                    ? [entry.rank, entry.team, score.correct + ' / ' + score.graphs, score.ticks, score.length, entry.submissions]
+                    : ['–', entry.team, '–', '–', '–', entry.submissions];
+                cells.forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                // Highlight teams whose standing just changed
+                if (previous[entry.team] !== undefined && previous[entry.team] !== entry.submissions) {
+                    row.className = 'fresh';
+                }
+                body.appendChild(row);
+            });
+            previous = Object.fromEntries(board.teams.map(entry => [entry.team, entry.submissions]));
+        };
+        events.onerror = () => {
+            document.getElementById('status').textContent = 'Connection lost, retrying…';
+        };
+    </script>
+</body>
+</html>
+`;
+
+// Create the HTTP server for a loaded competition
+function createCompetitionServer(competition, dataDir) {
+    const root = __dirname;
+    const eventClients = new Set();
+
+    const pushScoreboard = () => {
+        const message = `data: ${JSON.stringify(getScoreboard(competition))}\n\n`;
+        eventClients.forEach(client => client.write(message));
+    };
+
+    const handleSubmission = async (request, response) => {
+        let submission;
+        try {
+            submission = validateSubmission(await readJSONBody(request));
+        } catch (error) {
+            sendJSON(response, 400, { error: error.message });
+            return;
+        }
+
+        const team = findTournamentTeam(competition, submission.team) || addTournamentTeam(competition, submission.team);
+        const entry = submitTournamentPrograms(competition, team, submission.programs, new Date().toISOString());
+        fs.appendFileSync(teamLogFile(dataDir, team.name), JSON.stringify({
+            submittedAt: entry.submittedAt,
+            team: team.name,
+            address: request.socket.remoteAddress,
+            programs: entry.programs,
+            score: entry.score
+        }) + '\n');
+        console.log(`${entry.submittedAt} ${team.name}: ${entry.programs.join(',')} → ` +
+            `${entry.score.correct}/${entry.score.graphs} correct, ${entry.score.ticks} ticks`);
+
+        const standing = rankTournamentTeams(competition).find(ranked => ranked.team === team);
+        sendJSON(response, 200, { team: team.name, score: entry.score, rank: standing.rank });
+        pushScoreboard();
+    };
+
+    return http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+
+        if (url.pathname === '/api/info' && request.method === 'GET') {
+            sendJSON(response, 200, {
+                competition: true,
+                name: competition.name,
+                graphs: competition.numGraphs,
+                maxTicks: competition.maxTicks,
+                mode: competition.mode
+            });
+        } else if (url.pathname === '/api/submissions' && request.method === 'POST') {
+            handleSubmission(request, response).catch(error => sendJSON(response, 500, { error: error.message }));
+        } else if (url.pathname === '/api/scoreboard' && request.method === 'GET') {
+            sendJSON(response, 200, getScoreboard(competition));
+        } else if (url.pathname === '/api/events' && request.method === 'GET') {
+            response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+            response.write(`data: ${JSON.stringify(getScoreboard(competition))}\n\n`);
+            eventClients.add(response);
+            request.on('close', () => eventClients.delete(response));
+        } else if (url.pathname === '/scoreboard' && request.method === 'GET') {
+            response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            response.end(SCOREBOARD_PAGE);
+        } else if (STATIC_FILES[url.pathname] && request.method === 'GET') {
+            const [file, type] = STATIC_FILES[url.pathname];
+            fs.readFile(path.join(root, file), (error, content) => {
+                if (error) {
+                    response.writeHead(404, { 'Content-Type': 'text/plain' });
+                    response.end('Not found');
+                    return;
+                }
+                response.writeHead(200, { 'Content-Type': `${type}; charset=utf-8` });
+                response.end(content);
+            });
+        } else {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found');
+        }
+    });
+}
+
+// Addresses other machines on the LAN can reach the server at
+function listLanAddresses(port) {
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter(address => address && address.family === 'IPv4' && !address.internal)
+        .map(address => `http://${address.address}:${port}/`);
+}
+
+function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const port = parseInt(options.port) || 8080;
+    const dataDir = path.resolve(options.data || path.join(__dirname, 'competition-data'));
+
+    const competition = loadCompetition(dataDir, options);
+    const server = createCompetitionServer(competition, dataDir);
+    server.listen(port, () => {
+        console.log(`${competition.name}: ${competition.numGraphs} hidden graphs, ` +
+            `${competition.maxTicks} ticks per graph, ${EXECUTION_MODES[competition.mode]}`);
+        console.log(`Data and submission logs: ${dataDir}`);
+        console.log(`App: http://localhost:${port}/  Scoreboard: http://localhost:${port}/scoreboard`);
+        listLanAddresses(port).forEach(address => console.log(`On the LAN: ${address}`));
+        if (!fs.existsSync(path.join(__dirname, STATIC_FILES['/vendor/d3.v7.min.js'][0]))) {
+            console.log('Note: vendor/d3.v7.min.js is missing, so browsers without internet access cannot draw graphs (see the README)');
+        }
+    });
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { createCompetitionServer, loadCompetition, validateSubmission, getScoreboard };
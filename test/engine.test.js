@@ -0,0 +1,80 @@
+// Tests for the simulation engine: run with `node --test` from the project directory
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    runSimulation,
+    simulateTick,
+    classifyGraphEdges,
+    describeGraphShape,
+    getAgentPath,
+    countNodeVisits,
+    summarizeRun
+} = require('../engine.js');
+
+// Rho-shaped graph: a tail of 3 nodes leading into a cycle of 4 (0 -> 1 -> 2 -> 3 -> 4 -> 5 -> 6 -> 3)
+function createRhoGraph() {
+    const nodes = [0, 1, 2, 3, 4, 5, 6].map(id => ({ id, label: `N${id}` }));
+    const links = [[0, 1], [1, 2], [2, 3], [3, 4], [4, 5], [5, 6], [6, 3]].map(([source, target]) => ({ source, target }));
+    return { nodes, links };
+}
+
+test('summarizeRun and countNodeVisits read a past tick of a trace as it was', () => {
+    const { trace } = runSimulation(createRhoGraph(), ['S', 'SS'], { maxTicks: 6, recordTrace: true });
+    const summary = summarizeRun(trace, 1);
+    assert.strictEqual(summary.tick, 1);
+    assert.deepStrictEqual(summary.agents.map(agent => agent.steps), [1, 2]);
+    assert.deepStrictEqual(summary.agents.map(agent => agent.nodesVisited), [2, 3]);
+    assert.strictEqual(summary.nodesVisited, 3);
+
+    const visits = countNodeVisits(trace[1].state);
+    assert.deepStrictEqual([...visits.keys()].sort(), [0, 1, 2]);
+    assert.deepStrictEqual(visits.get(1), [1, 1]);
+});
+
+test('simulating from an earlier tick leaves every state of the run as it was', () => {
+    const graph = createRhoGraph();
+    const { trace } = runSimulation(graph, ['S'], { maxTicks: 5, recordTrace: true });
+    const pathsBefore = trace.map(entry => getAgentPath(entry.state.agents[0]));
+
+    const branch = simulateTick(graph, trace[2].state, ['SS']);
+    assert.deepStrictEqual(getAgentPath(branch.state.agents[0]), [0, 1, 2, 3, 4]);
+    assert.deepStrictEqual(trace.map(entry => getAgentPath(entry.state.agents[0])), pathsBefore);
+
+    // Continuing from the end of the run still extends it without gaps
+    const next = simulateTick(graph, trace[5].state, ['S']);
+    assert.deepStrictEqual(getAgentPath(next.state.agents[0]), [0, 1, 2, 3, 4, 5, 6]);
+});
+
+test('simulating from an earlier tick keeps the repeated-state history of the run', () => {
+    const graph = createRhoGraph();
+    const { trace } = runSimulation(graph, ['S'], { maxTicks: 5, recordTrace: true });
+    simulateTick(graph, trace[2].state, ['SS']);
+
+    // Continuing from the end of the run, the agent repeats tick 3's state (node 3) at tick 7
+    let result = { state: trace[5].state };
+    do {
+        result = simulateTick(graph, result.state, ['S']);
+        assert.strictEqual(result.state.stateHistory.keys.length, result.state.tick + 1);
+    } while (!result.verdict);
+    assert.strictEqual(result.state.tick, 7);
+    assert.deepStrictEqual(result.verdict, { kind: 'undecided', hasLoop: true, correct: false, reason: 'repeated', repeatedTick: 3 });
+});
+
+test('verdicts, edge classification and graph shape all look for loops from the agents\' start nodes', () => {
+    // N0 -> N1 ends, while N2 and N3 form a cycle that only an agent starting on N2 can reach
+    const graph = {
+        nodes: [0, 1, 2, 3].map(id => ({ id, label: `N${id}` })),
+        links: [[0, 1], [2, 3], [3, 2]].map(([source, target]) => ({ source, target }))
+    };
+    const run = runSimulation(graph, ['L', 'S'], { startNodes: [0, 2] });
+    assert.strictEqual(run.verdict.kind, 'loop');
+    assert.strictEqual(run.verdict.correct, true);
+    // The verdict reads the graph without annotating it
+    assert.ok(graph.links.every(link => link.isBackward === undefined));
+    assert.strictEqual(graph.hasLoop, undefined);
+
+    assert.deepStrictEqual(describeGraphShape(graph, [0, 2]), { tailLength: 2, cycleLength: 2 });
+    assert.deepStrictEqual(describeGraphShape(graph), { tailLength: 1, cycleLength: null });
+    assert.strictEqual(classifyGraphEdges(graph, [0, 2]).hasLoop, true);
+    assert.deepStrictEqual(graph.links.map(link => link.isBackward), [false, false, true]);
+});
@@ -0,0 +1,166 @@
+// Tournament mode: teams submit programs that all run against the same seeded graph set
+// Pure functions only, like engine.js; the UI keeps the tournament in localStorage
+
+// Under Node the engine is loaded as a module; in the browser its functions are already globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { normalizeProgram, createRandomGraph, normalizeGeneratorSettings, runSimulation } = require('./engine.js');
+}
+
+// Create an empty tournament
+// options: name, seed (first graph seed), numGraphs, maxTicks, mode, generatorSettings
+// Graph i is generated from seed + i, so the whole set is fixed by the seed and the settings
+function createTournament(options) {
+    return {
+        name: options.name || 'Tournament',
+        seed: options.seed >>> 0,
+        numGraphs: Math.max(1, options.numGraphs || 20),
+        maxTicks: Math.max(1, options.maxTicks || 200),
+        mode: options.mode,
+        generatorSettings: normalizeGeneratorSettings(options.generatorSettings),
+        teams: []
+    };
+}
+
+// Register a team; names are unique, ignoring case and surrounding spaces
+// Returns the new team, or null when the name is empty or taken
+function addTournamentTeam(tournament, name) {
+    const teamName = name.trim();
+    if (!teamName || findTournamentTeam(tournament, teamName)) return null;
+    const team = { name: teamName, submissions: [] };
+    tournament.teams.push(team);
+    return team;
+}
+
+// Find a team by name, ignoring case and surrounding spaces
+function findTournamentTeam(tournament, name) {
+    const key = name.trim().toLowerCase();
+    return tournament.teams.find(team => team.name.toLowerCase() === key) || null;
+}
+
+// Total number of instructions over all of a submission's programs
+function totalProgramLength(programs) {
+    return programs.reduce((total, program) => total + normalizeProgram(program).length, 0);
+}
+
+// Check programs before they are recorded for a team
+// limits: maxAgents, maxProgramLength (the app's editor limits)
+// Returns a human-readable problem, or null when the programs may be submitted
+function checkTournamentPrograms(programs, limits) {
+    if (!Array.isArray(programs) || programs.length === 0 || programs.length > limits.maxAgents ||
+        programs.some(program => typeof program !== 'string')) {
+        return `Programs must be a list of 1 to ${limits.maxAgents} strings`;
+    }
+    const normalized = programs.map(normalizeProgram);
+    const emptyIndex = normalized.findIndex(program => program.length === 0);
+    if (emptyIndex !== -1) {
+        return `Agent ${emptyIndex + 1} has no instructions`;
+    }
+    if (normalized.some(program => program.length > limits.maxProgramLength)) {
+        return `Programs may have at most ${limits.maxProgramLength} instructions`;
+    }
+    return null;
+}
+
+// Start an empty score for programs: { correct, graphs, ticks, length }, see scoreTournamentPrograms
+function createTournamentScore(tournament, programs) {
+    return { correct: 0, graphs: tournament.numGraphs, ticks: 0, length: totalProgramLength(programs) };
+}
+
+// Run programs on graph index of the tournament, with every agent starting at node 0, and add the run to score
+// Lets a caller spread the graphs over several turns instead of judging them all at once
+function scoreTournamentGraph(tournament, programs, index, score) {
+    const graph = createRandomGraph((tournament.seed + index) >>> 0, tournament.generatorSettings);
+    const run = runSimulation(graph, programs, { maxTicks: tournament.maxTicks, mode: tournament.mode });
+    if (run.verdict.correct) {
+        score.correct++;
+    }
+    score.ticks += run.ticks;
+}
+
+// Run programs on every graph of the tournament
+// Returns { correct, graphs, ticks, length }: graphs with a correct verdict, graphs run,
+// ticks summed over all runs and total program length
+function scoreTournamentPrograms(tournament, programs) {
+    const score = createTournamentScore(tournament, programs);
+    for (let i = 0; i < tournament.numGraphs; i++) {
+        scoreTournamentGraph(tournament, programs, i, score);
+    }
+    return score;
+}
+
+// Record a team's programs together with their score
+// submittedAt is an ISO timestamp supplied by the caller; the programs are scored here unless a score is given
+function submitTournamentPrograms(tournament, team, programs, submittedAt, score = scoreTournamentPrograms(tournament, programs)) {
+    const submission = {
+        programs: programs.slice(),
+        submittedAt,
+        score
+    };
+    team.submissions.push(submission);
+    return submission;
+}
+
+// Order scores best first: most correct graphs, then fewest total ticks, then shortest programs
+function compareTournamentScores(a, b) {
+    return (b.correct - a.correct) || (a.ticks - b.ticks) || (a.length - b.length);
+}
+
+// A team's best submission so far, or null before its first one
+function bestTournamentSubmission(team) {
+    return team.submissions.reduce(
+        (best, submission) => (!best || compareTournamentScores(submission.score, best.score) < 0 ? submission : best),
+        null
+    );
+}
+
+// Rank the teams by their best submission; teams with equal scores share a rank
+// Teams without a submission come last, without a rank
+// Returns [{ rank, team, submission }]
+function rankTournamentTeams(tournament) {
+    const entries = tournament.teams.map(team => ({ rank: null, team, submission: bestTournamentSubmission(team) }));
+    const ranked = entries.filter(entry => entry.submission)
+        .sort((a, b) => compareTournamentScores(a.submission.score, b.submission.score));
+    ranked.forEach((entry, index) => {
+        const previous = ranked[index - 1];
+        entry.rank = previous && compareTournamentScores(previous.submission.score, entry.submission.score) === 0
+            ? previous.rank
+            : index + 1;
+    });
+    return ranked.concat(entries.filter(entry => !entry.submission));
+}
+
+// Quote a CSV field when it contains a separator, quote or line break
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export the leaderboard as CSV: one row per team with its best submission
+function tournamentToCSV(tournament) {
+    const rows = [['Rank', 'Team', 'Correct', 'Graphs', 'Total ticks', 'Program length', 'Programs', 'Submissions', 'Submitted at']];
+    rankTournamentTeams(tournament).forEach(({ rank, team, submission }) => {
+        rows.push(submission
+            ? [rank, team.name, submission.score.correct, submission.score.graphs, submission.score.ticks,
+                submission.score.length, submission.programs.join(' | '), team.submissions.length, submission.submittedAt]
+            : ['', team.name, '', '', '', '', '', 0, '']);
+    });
+    return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createTournament,
+        addTournamentTeam,
+        findTournamentTeam,
+        totalProgramLength,
+        checkTournamentPrograms,
+        createTournamentScore,
+        scoreTournamentGraph,
+        scoreTournamentPrograms,
+        submitTournamentPrograms,
+        compareTournamentScores,
+        bestTournamentSubmission,
+        rankTournamentTeams,
+        tournamentToCSV
+    };
+}